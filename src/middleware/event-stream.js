@@ -0,0 +1,71 @@
+const STREAM_FORMATS = {
+  sse: 'text/event-stream',
+  ndjson: 'application/x-ndjson'
+};
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// ?stream=sse|ndjson, or Accept: text/event-stream
+const requestedStreamFormat = req => {
+  const param = typeof req.query.stream === 'string' ? req.query.stream.toLowerCase() : null;
+  if (param && STREAM_FORMATS[param]) {
+    return param;
+  }
+  if ((req.get('Accept') || '').includes(STREAM_FORMATS.sse)) {
+    return 'sse';
+  }
+  return null;
+};
+
+const createStream = (res, format) => {
+  res.status(200);
+  res.set({
+    'Content-Type': `${STREAM_FORMATS[format]}; charset=utf-8`,
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let sequence = 0;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const heartbeat = setInterval(() => {
+    if (closed) return;
+    res.write(format === 'sse' ? ': heartbeat\n\n' : `${JSON.stringify({ event: 'heartbeat' })}\n`);
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return {
+    format,
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      if (closed) return;
+      sequence++;
+      if (format === 'sse') {
+        res.write(`id: ${sequence}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      } else {
+        res.write(`${JSON.stringify({ event, data })}\n`);
+      }
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!closed) res.end();
+    }
+  };
+};
+
+// Mount after the payment middleware: opens the stream (exposed as res.stream) once payment is verified
+const eventStream = (req, res, next) => {
+  const format = requestedStreamFormat(req);
+  if (format) {
+    res.stream = createStream(res, format);
+  }
+  next();
+};
+
+module.exports = eventStream;
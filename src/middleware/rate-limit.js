@@ -0,0 +1,57 @@
+const { RateLimitError } = require('../services/errors');
+
+// Fixed-window in-memory limiter. Keys default to the client IP; a keyGenerator returning null skips the limit.
+// `limits` applies several windows at once (e.g. per minute and per day); `{ windowMs, max }` is a single window.
+// Every response carries RateLimit-* headers for whichever window has the least room left.
+const createRateLimiter = ({ windowMs, max, limits, keyGenerator, message } = {}) => {
+  const windows = limits || [{ windowMs, max }];
+  const policy = windows.map(window => `${window.max};w=${Math.ceil(window.windowMs / 1000)}`).join(', ');
+  const hits = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entries] of hits) {
+      if (entries.every(entry => entry.resetAt <= now)) hits.delete(key);
+    }
+  }, Math.min(...windows.map(window => window.windowMs)));
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator ? keyGenerator(req) : req.ip;
+    if (key === null) return next();
+    const now = Date.now();
+    const entries = hits.get(key) || [];
+
+    windows.forEach((window, index) => {
+      if (!entries[index] || entries[index].resetAt <= now) {
+        entries[index] = { count: 0, resetAt: now + window.windowMs };
+      }
+    });
+    hits.set(key, entries);
+
+    // Rejected requests don't count, so a burst that hits the minute limit doesn't use up the day
+    const exceeded = entries.filter((entry, index) => entry.count >= windows[index].max);
+    if (exceeded.length === 0) {
+      entries.forEach(entry => entry.count++);
+    }
+
+    const tightest = windows
+      .map((window, index) => ({ limit: window.max, remaining: Math.max(window.max - entries[index].count, 0), resetAt: entries[index].resetAt }))
+      .sort((a, b) => a.remaining - b.remaining || b.resetAt - a.resetAt)[0];
+    res.set({
+      'RateLimit-Policy': policy,
+      'RateLimit-Limit': String(tightest.limit),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(Math.ceil((tightest.resetAt - now) / 1000))
+    });
+
+    if (exceeded.length > 0) {
+      const retryAfter = Math.ceil((Math.max(...exceeded.map(entry => entry.resetAt)) - now) / 1000);
+      return next(new RateLimitError(message || 'Too many requests. Please try again later.', retryAfter));
+    }
+
+    next();
+  };
+};
+
+module.exports = createRateLimiter;
@@ -1,13 +1,17 @@
 const { x402Middleware } = require('@coinbase/x402');
 const { Coinbase, Wallet } = require('@coinbase/coinbase-sdk');
+const { ConfigurationError } = require('../services/errors');
+const { metrics } = require('../services/metrics');
 
-const createX402Middleware = () => {
+const DEFAULT_DESCRIPTION = 'Natural Language Blockchain Query - Pay per query to convert natural language to SQL and execute against Base blockchain data';
+
+const createX402Middleware = (options = {}) => {
   const x402Config = {
-    price: parseFloat(process.env.X402_PRICE_USDC) || 0.01,
+    price: options.price || parseFloat(process.env.X402_PRICE_USDC) || 0.01,
     currency: 'USDC',
     network: process.env.NETWORK || 'base-mainnet',
     walletId: process.env.X402_WALLET_ID,
-    description: 'Natural Language Blockchain Query - Pay per query to convert natural language to SQL and execute against Base blockchain data'
+    description: options.description || DEFAULT_DESCRIPTION
   };
 
   if (!x402Config.walletId) {
@@ -23,12 +27,141 @@ const createX402Middleware = () => {
   } catch (error) {
     console.error('Failed to initialize x402 middleware:', error);
     return (req, res, next) => {
-      res.status(500).json({ 
-        error: 'Payment system configuration error',
-        type: 'x402_config_error'
-      });
+      next(new ConfigurationError('payment_not_configured', 'Payment system configuration error'));
     };
   }
 };
 
-module.exports = createX402Middleware();
\ No newline at end of file
+const SUPPORTED_NETWORKS = ['base-mainnet', 'base-sepolia'];
+
+// Readiness probe: checks the payment settings locally and, when the CDP SDK is configured, that the
+// wallet exists on the configured network. Throws ConfigurationError describing every problem found.
+const validateX402Config = async ({ fetchWallet = true } = {}) => {
+  const walletId = process.env.X402_WALLET_ID;
+  const network = process.env.NETWORK || 'base-mainnet';
+  const problems = [];
+
+  if (!walletId) {
+    problems.push('X402_WALLET_ID is not set');
+  }
+  if (!SUPPORTED_NETWORKS.includes(network)) {
+    problems.push(`NETWORK "${network}" is not one of ${SUPPORTED_NETWORKS.join(', ')}`);
+  }
+  for (const name of ['X402_PRICE_USDC', 'X402_SQL_PRICE_USDC']) {
+    if (process.env[name] && !(parseFloat(process.env[name]) > 0)) {
+      problems.push(`${name} must be a positive number`);
+    }
+  }
+
+  if (problems.length === 0 && fetchWallet) {
+    try {
+      const wallet = await Wallet.fetch(walletId);
+      if (wallet.getNetworkId() !== network) {
+        problems.push(`Wallet ${walletId} is on ${wallet.getNetworkId()}, not ${network}`);
+      }
+    } catch (error) {
+      problems.push(`Wallet ${walletId} could not be fetched: ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigurationError('payment_not_configured', problems.join('; '));
+  }
+  return { walletId, network };
+};
+
+// X-PAYMENT and X-PAYMENT-RESPONSE carry base64-encoded JSON; anything unreadable is treated as absent
+const decodeHeader = value => {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    return JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const paymentAuthorization = payment => (payment && payment.payload ? payment.payload.authorization || {} : {});
+
+// Who paid, on which network and how much (atomic units), from the client's signed authorization
+const describePayment = req => {
+  const payment = decodeHeader(req.get('X-PAYMENT'));
+  const authorization = paymentAuthorization(payment);
+  return {
+    method: 'x402',
+    payer: authorization.from || null,
+    network: (payment && payment.network) || process.env.NETWORK || 'base-mainnet',
+    scheme: (payment && payment.scheme) || null,
+    value: authorization.value || null
+  };
+};
+
+// The settlement transaction is only known once the facilitator has settled, as the response is sent
+const describeSettlement = res => {
+  const settlement = decodeHeader(res.getHeader('X-PAYMENT-RESPONSE'));
+  return settlement
+    ? { success: settlement.success !== false, transaction: settlement.transaction || null, network: settlement.network || null, payer: settlement.payer || null }
+    : null;
+};
+
+// Prices each request via resolveQuote before the payment check so the 402 challenge advertises
+// the quoted amount; the quote is exposed as req.quote for the handler to execute.
+// payWithCredits(req, quote) may settle the quote another way (prepaid credits) and return true to skip x402.
+// Requests that pass the x402 check get req.payment describing the payer.
+// With requireWallet, requests fail with payment_not_configured instead of skipping payment when
+// X402_WALLET_ID is unset (for endpoints that must never be free, like credit top-ups).
+const createDynamicX402Middleware = ({ resolveQuote, description, onError, payWithCredits, requireWallet = false }) => {
+  const paymentMiddlewares = new Map();
+
+  const paymentFor = price => {
+    const key = price.toFixed(6);
+    if (!paymentMiddlewares.has(key)) {
+      paymentMiddlewares.set(key, createX402Middleware({ price, description }));
+    }
+    return paymentMiddlewares.get(key);
+  };
+
+  return async (req, res, next) => {
+    let quote;
+    let paid = false;
+    try {
+      if (requireWallet && !process.env.X402_WALLET_ID) {
+        throw new ConfigurationError('payment_not_configured', 'x402 payments are not configured on this server (X402_WALLET_ID is not set)');
+      }
+      quote = await resolveQuote(req);
+      req.quote = quote;
+      res.set({
+        'X-Quote-Id': quote.id,
+        'X-Quote-Price': String(quote.price),
+        'X-Quote-Expires': quote.expiresAt
+      });
+      paid = payWithCredits ? await payWithCredits(req, quote) : false;
+    } catch (error) {
+      return onError ? onError(error, req, res) : next(error);
+    }
+
+    if (paid) {
+      return next();
+    }
+
+    // The x402 middleware answers 402 itself: "required" without an X-PAYMENT header, "rejected" with one
+    let passed = false;
+    res.once('finish', () => {
+      if (!passed && res.statusCode === 402) {
+        metrics.observePayment({ endpoint: quote.endpoint, method: 'x402', outcome: req.get('X-PAYMENT') ? 'rejected' : 'required' });
+      }
+    });
+    return paymentFor(quote.price)(req, res, error => {
+      if (!error) {
+        passed = true;
+        req.payment = describePayment(req);
+      }
+      next(error);
+    });
+  };
+};
+
+module.exports = createX402Middleware();
+module.exports.createX402Middleware = createX402Middleware;
+module.exports.createDynamicX402Middleware = createDynamicX402Middleware;
+module.exports.describeSettlement = describeSettlement;
+module.exports.validateX402Config = validateX402Config;
@@ -1,126 +1,1036 @@
 const express = require('express');
-const x402Middleware = require('../middleware/x402');
+const { createDynamicX402Middleware, describeSettlement, validateX402Config } = require('../middleware/x402');
+const eventStream = require('../middleware/event-stream');
+const createRateLimiter = require('../middleware/rate-limit');
+const { FORMATS, describeColumns, negotiateFormat, serializeRows } = require('../services/formatters');
+const { buildChartSpec } = require('../services/charts');
 const LLMService = require('../services/llm');
 const CDPSQLService = require('../services/cdp-sql');
+const SchemaCatalog = require('../services/schema-catalog');
+const { QueryCache } = require('../services/cache');
+const QueryPipeline = require('../services/query-pipeline');
+const { PricingService } = require('../services/pricing');
+const JobService = require('../services/jobs');
+const ReceiptService = require('../services/receipts');
+const { PaginationService } = require('../services/pagination');
+const { SessionService } = require('../services/sessions');
+const { SavedQueryService } = require('../services/saved-queries');
+const { SchedulerService } = require('../services/scheduler');
+const { WebhookService } = require('../services/webhooks');
+const { MAX_HISTORY, CreditService } = require('../services/credits');
+const { RefundService } = require('../services/refunds');
+const HealthService = require('../services/health');
+const { metrics } = require('../services/metrics');
+const { ValidationError, NotFoundError, toErrorResponse } = require('../services/errors');
 
 const router = express.Router();
-const llmService = new LLMService();
+const schemaCatalog = new SchemaCatalog();
+const llmService = new LLMService({ catalog: schemaCatalog });
 const cdpService = new CDPSQLService();
+const queryCache = new QueryCache();
+const pricingService = new PricingService({ validator: llmService.validator });
+const queryPipeline = new QueryPipeline({ llmService, cdpService, cache: queryCache, pricing: pricingService });
+
+const refundService = new RefundService();
+const receiptService = new ReceiptService();
+const jobService = new JobService({ pipeline: queryPipeline, refunds: refundService });
+const paginationService = new PaginationService({ validator: llmService.validator });
+const sessionService = new SessionService();
+const savedQueryService = new SavedQueryService({ validator: llmService.validator });
+const schedulerService = new SchedulerService({
+  cdpService,
+  validator: llmService.validator,
+  savedQueries: savedQueryService,
+  webhooks: new WebhookService()
+});
+const creditService = new CreditService();
+const healthService = new HealthService({
+  probes: {
+    cdp_jwt: async () => {
+      await cdpService.generateJWT();
+      return {};
+    },
+    cdp_query: options => cdpService.testConnection(options),
+    llm: () => llmService.ping(),
+    // The wallet lookup goes through the CDP SDK, which is only configured along with the CDP credentials
+    x402: () => validateX402Config({ fetchWallet: Boolean(cdpService.apiKeyName) })
+  }
+});
+
+// The SQL is generated (or validated) before payment so it can be priced; the paid
+// retry reuses the quote and executes exactly that SQL
+const buildQueryQuote = async (query, conversation, answer = false) => {
+  const generated = await queryPipeline.generateSQL(query, { history: sessionService.context(conversation) });
+  const validated = queryPipeline.validateSQL(generated.sql);
+  return {
+    sql: validated.sql,
+    tables: validated.tables,
+    limit: validated.limit,
+    usesLLM: true,
+    answer,
+    request: { query, sessionId: conversation ? conversation.id : null, answer, generatedSQL: generated.sql, sqlCacheHit: generated.cacheHit }
+  };
+};
+
+// Within a session the same words mean different things at each turn, so the turn is part of the fingerprint
+const questionFingerprint = (query, conversation, answer = false) => pricingService.fingerprint(
+  `${answer ? 'answer:' : ''}${conversation ? `${conversation.id}:${conversation.turns.length}:` : ''}${queryCache.normalizeQuestion(query)}`
+);
+
+// A refund token from an earlier failure pays for the request outright; otherwise requests carrying
+// an API key are debited from the prepaid balance instead of going through x402
+const payWithCredits = async (req, quote) => {
+  const refundToken = (req.body || {}).refundToken || req.get('X-Refund-Token');
+  const apiKey = refundToken ? null : creditService.apiKeyFrom(req);
+  if (!refundToken && !apiKey) return false;
 
-router.post('/query', x402Middleware, async (req, res) => {
-  const startTime = Date.now();
-  
   try {
-    const { query } = req.body;
-    
-    if (!query || typeof query !== 'string') {
-      return res.status(400).json({ 
-        error: 'Query is required and must be a string',
-        type: 'validation_error'
+    if (refundToken) {
+      req.refund = refundService.redeem(refundToken, quote);
+    } else {
+      req.credits = creditService.debit({
+        apiKey,
+        amount: quote.price,
+        quoteId: quote.id,
+        endpoint: quote.endpoint,
+        description: String(quote.request.query || quote.sql || '').slice(0, 200)
       });
     }
+  } catch (error) {
+    metrics.observePayment({ endpoint: quote.endpoint, method: refundToken ? 'refund' : 'credits', outcome: 'rejected' });
+    throw error;
+  }
+  return true;
+};
 
-    if (query.length > 1000) {
-      return res.status(400).json({ 
-        error: 'Query too long. Maximum 1000 characters allowed.',
-        type: 'validation_error'
-      });
+const queryPaymentMiddleware = createDynamicX402Middleware({
+  description: 'Natural Language Blockchain Query - Pay per query to convert natural language to SQL and execute against Base blockchain data',
+  onError: (error, req, res) => sendQueryError(res, error),
+  payWithCredits,
+  resolveQuote: req => pricingService.resolveQuote({
+    endpoint: 'query',
+    quoteId: req.body.quoteId || req.get('X-Quote-Id'),
+    fingerprint: req.body.query ? questionFingerprint(req.body.query, req.conversation, req.body.answer === true) : null,
+    build: () => buildQueryQuote(req.body.query, req.conversation, req.body.answer === true)
+  })
+});
+
+const sqlPaymentMiddleware = createDynamicX402Middleware({
+  description: 'Raw SQL Blockchain Query - Pay per query to execute validated SQL against Base blockchain data',
+  onError: (error, req, res) => sendQueryError(res, error),
+  payWithCredits,
+  resolveQuote: req => pricingService.resolveQuote({
+    endpoint: 'sql',
+    quoteId: req.body.quoteId || req.get('X-Quote-Id'),
+    fingerprint: pricingService.fingerprint(queryCache.normalizeSQL(req.body.sql)),
+    build: async () => {
+      const validated = queryPipeline.validateSQL(req.body.sql);
+      return {
+        sql: validated.sql,
+        tables: validated.tables,
+        limit: validated.limit,
+        usesLLM: false,
+        request: { sql: req.body.sql }
+      };
+    }
+  })
+});
+
+// Follow-up pages are priced from the "page" base price: no LLM, same table and time window charges
+const pagePaymentMiddleware = createDynamicX402Middleware({
+  description: 'Blockchain Query Next Page - Pay per page to fetch the next rows of a previous query',
+  onError: (error, req, res) => sendQueryError(res, error),
+  payWithCredits,
+  resolveQuote: req => pricingService.resolveQuote({
+    endpoint: 'page',
+    quoteId: req.query.quoteId || req.get('X-Quote-Id'),
+    fingerprint: pricingService.fingerprint(req.query.cursor),
+    build: async () => ({
+      sql: paginationService.pageSQL(req.page.record, req.page.offset),
+      tables: req.page.record.tables,
+      usesLLM: false,
+      request: { cursor: req.query.cursor }
+    })
+  })
+});
+
+// Parameters are bound and validated before payment; the fingerprint covers the definition version and bound SQL
+const savedQueryPaymentMiddleware = createDynamicX402Middleware({
+  description: 'Saved Blockchain Query - Pay per run to execute a saved parameterized query against Base blockchain data',
+  onError: (error, req, res) => sendQueryError(res, error),
+  payWithCredits,
+  resolveQuote: req => {
+    const bound = savedQueryService.bind(req.savedQuery, (req.body || {}).parameters);
+    return pricingService.resolveQuote({
+      endpoint: 'saved',
+      quoteId: (req.body || {}).quoteId || req.get('X-Quote-Id'),
+      fingerprint: pricingService.fingerprint(`${req.savedQuery.id}:${req.savedQuery.updatedAt}:${bound.sql}`),
+      build: async () => ({
+        sql: bound.sql,
+        tables: bound.tables,
+        limit: bound.limit,
+        usesLLM: false,
+        request: { savedQueryId: req.savedQuery.id, parameters: bound.parameters }
+      })
+    });
+  }
+});
+
+// A subscription is paid once for every run in its duration
+const subscriptionPaymentMiddleware = createDynamicX402Middleware({
+  description: 'Scheduled Blockchain Query - Pay up front to run a query on a schedule and receive webhook alerts',
+  onError: (error, req, res) => sendQueryError(res, error),
+  resolveQuote: async req => {
+    const definition = await schedulerService.prepare(req.body || {}, savedQueryOwner(req));
+    return pricingService.resolveQuote({
+      endpoint: 'subscription',
+      quoteId: (req.body || {}).quoteId || req.get('X-Quote-Id'),
+      fingerprint: pricingService.fingerprint(JSON.stringify(definition)),
+      build: async () => ({
+        sql: definition.sql,
+        tables: definition.tables,
+        usesLLM: false,
+        runs: definition.runs,
+        request: definition
+      })
+    });
+  }
+});
+
+// Top-ups are always paid with x402, so they are refused rather than free when no wallet is configured.
+// Adding to an existing account requires its key up front.
+const creditTopupPaymentMiddleware = createDynamicX402Middleware({
+  description: 'Blockchain Query Credits - Pay once to add USDC to a prepaid balance for API key access',
+  onError: (error, req, res) => sendQueryError(res, error),
+  requireWallet: true,
+  resolveQuote: req => {
+    const apiKey = creditService.apiKeyFrom(req);
+    const account = apiKey ? creditService.authenticate(apiKey) : null;
+    const amount = creditService.checkTopupAmount((req.body || {}).amount);
+    return pricingService.resolveQuote({
+      endpoint: 'topup',
+      quoteId: (req.body || {}).quoteId || req.get('X-Quote-Id'),
+      fingerprint: pricingService.fingerprint(`${account ? account.id : 'new'}:${amount}`),
+      build: async () => ({ price: amount, request: { amount } })
+    });
+  }
+});
+
+const requireApiKey = (req, res, next) => {
+  try {
+    req.account = creditService.authenticate(creditService.apiKeyFrom(req));
+    next();
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const payerLimits = [
+  { windowMs: MINUTE_MS, max: parseInt(process.env.PAYER_RATE_LIMIT_PER_MINUTE, 10) || 30 },
+  { windowMs: DAY_MS, max: parseInt(process.env.PAYER_RATE_LIMIT_PER_DAY, 10) || 5000 }
+];
+
+// Paid endpoints are limited per IP before quoting, since quoting can cost an LLM call and nothing
+// about the payer has been verified yet
+const paidRateLimiter = createRateLimiter({
+  limits: [
+    { windowMs: MINUTE_MS, max: parseInt(process.env.PAID_RATE_LIMIT_PER_MINUTE, 10) || 30 },
+    { windowMs: DAY_MS, max: parseInt(process.env.PAID_RATE_LIMIT_PER_DAY, 10) || 5000 }
+  ],
+  message: 'Too many paid requests from this address. Please slow down.'
+});
+
+// An API key, when sent, is checked before quoting so the account limit below keys on a real account
+const identifyAccount = (req, res, next) => {
+  const apiKey = creditService.apiKeyFrom(req);
+  if (!apiKey) return next();
+  try {
+    req.account = creditService.authenticate(apiKey);
+    next();
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+};
+
+const accountRateLimiter = createRateLimiter({
+  limits: payerLimits,
+  keyGenerator: req => (req.account ? `account:${req.account.id}` : null),
+  message: 'Too many paid requests for this account. Please slow down.'
+});
+
+// Per wallet once the x402 check has passed. The rejection is a 4xx, which the x402 middleware doesn't settle.
+const walletRateLimiter = createRateLimiter({
+  limits: payerLimits,
+  keyGenerator: req => (req.payment && req.payment.payer ? `wallet:${String(req.payment.payer).toLowerCase()}` : null),
+  message: 'Too many paid requests from this wallet. Please slow down.'
+});
+
+const beforePayment = [paidRateLimiter, identifyAccount, accountRateLimiter];
+
+// Free endpoints, including health checks and examples, are limited per IP
+const freeRateLimiter = createRateLimiter({
+  limits: [
+    { windowMs: MINUTE_MS, max: parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60 },
+    { windowMs: DAY_MS, max: parseInt(process.env.RATE_LIMIT_PER_DAY, 10) || 10000 }
+  ]
+});
+
+// Runs after payment: opens the receipt and closes it with the outcome once the response ends.
+// Handlers record what actually ran in res.locals.receipt.
+const recordReceipt = (req, res, next) => {
+  req.receipt = receiptService.open({
+    quote: req.quote,
+    payment: req.payment || { method: paymentMethod(req), payer: req.credits ? req.credits.accountId : null }
+  });
+  res.locals.receipt = {};
+  res.set('X-Receipt-Id', req.receipt.id);
+  metrics.observePayment({ endpoint: req.quote.endpoint, method: paymentMethod(req), outcome: 'accepted' });
+
+  res.once('close', () => {
+    const settlement = describeSettlement(res);
+    receiptService.close(req.receipt.id, {
+      statusCode: res.statusCode,
+      aborted: !res.writableFinished,
+      settlement,
+      changes: res.locals.receipt
+    });
+    // Revenue is what x402 actually settled; credits were counted when they were topped up
+    if (settlement && settlement.success && paymentMethod(req) === 'x402') {
+      metrics.observeRevenue({ endpoint: req.quote.endpoint, amount: req.quote.price });
     }
+  });
+  next();
+};
 
-    console.log(`Processing query: "${query}"`);
+// The API-key account the subscription was bought with, or the signing secret returned at creation
+const subscriptionOwner = req => ({
+  accountId: req.account ? req.account.id : null,
+  secret: req.get('X-Subscription-Secret') || null
+});
+
+const loadSubscription = (req, res, next) => {
+  req.subscription = schedulerService.getOwned(req.params.id, subscriptionOwner(req));
+
+  if (!req.subscription) {
+    return next(new NotFoundError('Subscription not found'));
+  }
+
+  next();
+};
+
+// The API-key account (set by identifyAccount) or the management key returned when the query was saved
+const savedQueryOwner = req => ({
+  accountId: req.account ? req.account.id : null,
+  managementKey: req.get('X-Saved-Query-Key') || null
+});
+
+const loadSavedQuery = (req, res, next) => {
+  req.savedQuery = savedQueryService.getOwned(req.params.id, savedQueryOwner(req));
+
+  if (!req.savedQuery) {
+    return next(new NotFoundError('Saved query not found'));
+  }
 
-    const sqlQuery = await llmService.convertToSQL(query);
-    console.log(`Generated SQL: ${sqlQuery}`);
+  next();
+};
+
+const requireCursor = async (req, res, next) => {
+  if (!req.query.cursor || typeof req.query.cursor !== 'string') {
+    return next(new ValidationError('cursor query parameter is required'));
+  }
+
+  try {
+    req.page = await paginationService.resolve(req.query.cursor);
+    next();
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+};
+
+// A previewed quote can be executed by reference with just { quoteId }
+const requireQueryBody = (req, res, next) => {
+  const { query, quoteId, answer } = req.body || {};
+
+  if (answer !== undefined && typeof answer !== 'boolean') {
+    return next(new ValidationError('answer must be a boolean'));
+  }
+
+  if (quoteId && query === undefined) {
+    return next();
+  }
+
+  if (!query || typeof query !== 'string') {
+    return next(new ValidationError('Query is required and must be a string'));
+  }
+
+  if (query.length > 1000) {
+    return next(new ValidationError('Query too long. Maximum 1000 characters allowed.'));
+  }
+
+  next();
+};
+
+// Follow-up questions name their session; a new one is started on the first answered question
+const loadSession = async (req, res, next) => {
+  const { sessionId } = req.body;
+  if (sessionId === undefined) {
+    return next();
+  }
+
+  if (!sessionId || typeof sessionId !== 'string') {
+    return next(new ValidationError('sessionId must be a string'));
+  }
+
+  try {
+    req.conversation = await sessionService.get(sessionId);
+    next();
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+};
+
+const requireSQLBody = (req, res, next) => {
+  const { sql } = req.body || {};
+
+  if (!sql || typeof sql !== 'string') {
+    return next(new ValidationError('sql is required and must be a string'));
+  }
+
+  if (sql.length > 10000) {
+    return next(new ValidationError('SQL too long. Maximum 10000 characters allowed.'));
+  }
+
+  next();
+};
+
+// Runs before payment so an unsupported format is rejected before anyone is charged
+const requireSupportedFormat = (req, res, next) => {
+  req.resultFormat = negotiateFormat(req);
+
+  if (!req.resultFormat) {
+    return next(new ValidationError(`Unsupported format. Supported formats: ${Object.keys(FORMATS).join(', ')}`, 'unsupported_format'));
+  }
+
+  next();
+};
+
+// The answer and chart only fit in synchronous JSON bodies and streams, so don't charge for them otherwise
+const requireAnswerableFormat = (req, res, next) => {
+  if (req.body.answer === true && req.resultFormat !== 'json') {
+    return next(new ValidationError('answer is only available for JSON and streaming responses from /api/query'));
+  }
+
+  next();
+};
+
+// Sentence-long summary plus a chart when the rows are a time series or ranking. A failed summary
+// leaves the paid rows intact, so it is logged and returned as null.
+const buildAnswer = async (query, sql, rows, columns) => {
+  let text = null;
+  try {
+    text = await llmService.summarizeResult(query, sql, rows);
+  } catch (error) {
+    console.warn('Result summary failed:', error.message);
+  }
+
+  return { text, chart: buildChartSpec(rows, columns, { title: query }) };
+};
+
+// JSON responses carry the column types in metadata; other formats carry rows only, with metadata in headers
+const sendResult = (req, res, body, tables) => {
+  const rows = Array.isArray(body.result) ? body.result : [body.result];
+  const columns = describeColumns(rows, { catalog: schemaCatalog, tables });
+  const format = req.resultFormat || 'json';
+
+  if (format === 'json') {
+    return res.json({ ...body, metadata: { ...body.metadata, columns } });
+  }
+
+  res.set({
+    'Content-Type': FORMATS[format],
+    'X-Row-Count': String(rows.length),
+    'X-Column-Types': columns.map(column => `${column.name}:${column.type}`).join(','),
+    ...(body.metadata && body.metadata.queryId ? { 'X-Query-Id': String(body.metadata.queryId) } : {}),
+    ...(body.metadata && body.metadata.session ? { 'X-Session-Id': body.metadata.session.id } : {}),
+    ...(body.metadata && body.metadata.cached !== undefined ? { 'X-Cache': body.metadata.cached ? 'HIT' : 'MISS' } : {})
+  });
+  res.send(serializeRows(format, rows, columns));
+};
+
+// `query` is the quote, or for /query whichever corrected SQL finally ran
+const startPagination = (query, execution, endpoint) => paginationService.start({
+  sql: query.sql,
+  tables: query.tables,
+  limit: query.limit,
+  rowCount: Array.isArray(execution.result) ? execution.result.length : 0,
+  endpoint
+});
+
+const STREAM_CHUNK_SIZE = parseInt(process.env.STREAM_CHUNK_SIZE, 10) || 100;
+
+const describeQuote = quote => ({
+  quoteId: quote.id,
+  amount: quote.price,
+  currency: quote.currency,
+  breakdown: quote.breakdown
+});
+
+// Credit-funded requests also report the debit and the remaining balance
+const describePayment = req => ({
+  receiptId: req.receipt.id,
+  price: describeQuote(req.quote),
+  ...(req.credits ? { credits: req.credits } : {}),
+  ...(req.refund ? { redeemedRefund: req.refund } : {})
+});
+
+const paymentMethod = req => (req.refund ? 'refund' : req.credits ? 'credits' : 'x402');
+
+// Whether the request's payment actually moved: credits or a refund token were spent, or x402 settled.
+// Error responses are normally not settled, so the same X-PAYMENT could otherwise be replayed for tokens.
+const paymentCollected = (req, res) => {
+  if (req.credits || req.refund) return true;
+  const settlement = describeSettlement(res);
+  return Boolean(settlement && settlement.success);
+};
+
+// Paid requests that fail on our side get a refund token in the error response, if they were charged
+const refundFailure = (req, res, error) => ({
+  fault: refundService.isServiceFailure(error) ? 'service' : 'client',
+  refund: paymentCollected(req, res)
+    ? refundService.issueFor(error, {
+      endpoint: req.quote.endpoint,
+      quoteId: req.quote.id,
+      amount: req.quote.price,
+      currency: req.quote.currency
+    })
+    : null
+});
+
+schedulerService.start();
+
+if (process.env.SCHEMA_REFRESH_FROM_CDP === 'true') {
+  schemaCatalog.startAutoRefresh(cdpService, parseInt(process.env.SCHEMA_REFRESH_INTERVAL_MS, 10) || 0);
+}
+
+router.post('/query', beforePayment, requireQueryBody, loadSession, requireSupportedFormat, requireAnswerableFormat, queryPaymentMiddleware, walletRateLimiter, recordReceipt, eventStream, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const quote = req.quote;
+    const query = quote.request.query;
+    const stream = res.stream;
+    const sqlCache = quote.request.sqlCacheHit ? 'hit' : 'miss';
+
+    console.log(`Processing query: "${query}" (quote ${quote.id}, ${quote.price} ${quote.currency})`);
     
-    const result = await cdpService.executeQuery(sqlQuery);
+    if (stream) {
+      stream.send('payment', { status: 'verified', method: paymentMethod(req), ...describePayment(req) });
+      stream.send('sql', { originalQuery: query, generatedSQL: quote.sql, tables: quote.tables, cache: sqlCache });
+      stream.send('execution', { status: 'started' });
+    }
+    
+    const conversation = quote.request.sessionId ? await sessionService.find(quote.request.sessionId) : null;
+    const execution = await queryPipeline.executeWithCorrection({
+      question: query,
+      history: sessionService.context(conversation),
+      generatedSQL: quote.request.generatedSQL,
+      ...quote
+    }, {
+      onCorrection: correction => stream && stream.send('retry', correction)
+    });
+    const executed = execution.query;
+    res.locals.receipt.sql = executed.sql;
+    const pagination = await startPagination(executed, execution, 'query');
+    const rows = Array.isArray(execution.result) ? execution.result : [execution.result];
+    const columns = describeColumns(rows, { catalog: schemaCatalog, tables: executed.tables });
+    const session = await sessionService.addTurn(quote.request.sessionId, {
+      question: query,
+      sql: executed.sql,
+      generatedSQL: executed.generatedSQL,
+      tables: executed.tables,
+      rowCount: rows.length,
+      columns
+    });
+    const answer = quote.request.answer && (stream || req.resultFormat === 'json')
+      ? await buildAnswer(query, executed.sql, rows, columns)
+      : null;
     
     const executionTime = Date.now() - startTime;
+    const metadata = {
+      ...execution.metadata,
+      cache: {
+        sql: sqlCache,
+        ...execution.metadata.cache
+      },
+      pagination,
+      session,
+      ...describePayment(req),
+      totalExecutionTimeMs: executionTime,
+      timestamp: new Date().toISOString()
+    };
     
+    if (stream) {
+      for (let offset = 0; offset < rows.length && !stream.closed; offset += STREAM_CHUNK_SIZE) {
+        stream.send('rows', { offset, rows: rows.slice(offset, offset + STREAM_CHUNK_SIZE) });
+      }
+      if (answer) {
+        stream.send('answer', { answer: answer.text, chart: answer.chart });
+      }
+      stream.send('complete', { metadata });
+      return stream.end();
+    }
+    
+    sendResult(req, res, {
+      sessionId: session.id,
+      originalQuery: query,
+      generatedSQL: executed.sql,
+      ...(answer ? { answer: answer.text, chart: answer.chart } : {}),
+      result: execution.result,
+      metadata
+    }, executed.tables);
+
+  } catch (error) {
+    sendQueryError(res, error, startTime, refundFailure(req, res, error));
+  }
+});
+
+const previewRateLimiter = createRateLimiter({
+  windowMs: MINUTE_MS,
+  max: parseInt(process.env.PREVIEW_RATE_LIMIT_PER_MINUTE, 10) || 10,
+  message: 'Too many preview requests. Please wait a minute or call the paid /api/query endpoint directly.'
+});
+
+const PREVIEW_TTL_MS = (parseInt(process.env.PREVIEW_TTL_SECONDS, 10) || 30 * 60) * 1000;
+
+// Free: translates and prices the question without executing it. The returned quote ID can be
+// passed to /api/query or /api/query/async to run exactly this SQL at exactly this price.
+router.post('/query/preview', previewRateLimiter, requireQueryBody, loadSession, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const { query } = req.body;
+    if (query === undefined) {
+      throw new ValidationError('Query is required and must be a string');
+    }
+
+    const quote = await pricingService.createQuote({
+      endpoint: 'query',
+      fingerprint: questionFingerprint(query, req.conversation, req.body.answer === true),
+      ttlMs: PREVIEW_TTL_MS,
+      ...(await buildQueryQuote(query, req.conversation, req.body.answer === true))
+    });
+
+    let explanation = null;
+    try {
+      explanation = await llmService.explainSQL(quote.sql, query);
+    } catch (error) {
+      console.warn('SQL explanation failed:', error.message);
+    }
+
     res.json({
+      previewId: quote.id,
+      sessionId: quote.request.sessionId,
       originalQuery: query,
-      generatedSQL: sqlQuery,
-      result: result.result,
+      generatedSQL: quote.sql,
+      explanation,
+      tables: quote.tables,
+      price: describeQuote(quote),
+      expiresAt: quote.expiresAt,
+      execute: {
+        method: 'POST',
+        endpoint: '/api/query',
+        body: { quoteId: quote.id }
+      },
       metadata: {
-        ...result.metadata,
-        totalExecutionTimeMs: executionTime,
+        totalExecutionTimeMs: Date.now() - startTime,
         timestamp: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    const executionTime = Date.now() - startTime;
-    console.error('Query execution error:', error);
+    sendQueryError(res, error, startTime);
+  }
+});
+
+router.get('/query/next', beforePayment, requireCursor, requireSupportedFormat, pagePaymentMiddleware, walletRateLimiter, recordReceipt, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const { record, offset } = req.page;
+    const quote = req.quote;
+
+    console.log(`Fetching page at offset ${offset} (quote ${quote.id}, ${quote.price} ${quote.currency})`);
     
-    let statusCode = 500;
-    let errorType = 'query_execution_error';
+    const execution = await queryPipeline.execute(quote.sql);
+    const pagination = await paginationService.next(record, offset, Array.isArray(execution.result) ? execution.result.length : 0);
     
-    if (error.message.includes('LLM service not properly configured')) {
-      statusCode = 503;
-      errorType = 'llm_config_error';
-    } else if (error.message.includes('CDP client not properly configured')) {
-      statusCode = 503;
-      errorType = 'cdp_config_error';
-    } else if (error.message.includes('Only SELECT queries are allowed') || 
-               error.message.includes('Forbidden SQL keyword') ||
-               error.message.includes('must include a LIMIT clause')) {
-      statusCode = 400;
-      errorType = 'sql_validation_error';
-    } else if (error.message.includes('Invalid SQL query')) {
-      statusCode = 400;
-      errorType = 'invalid_sql_error';
-    } else if (error.message.includes('authentication failed')) {
-      statusCode = 401;
-      errorType = 'auth_error';
-    } else if (error.message.includes('rate limit exceeded')) {
-      statusCode = 429;
-      errorType = 'rate_limit_error';
+    sendResult(req, res, {
+      executedSQL: quote.sql,
+      result: execution.result,
+      metadata: {
+        ...execution.metadata,
+        pagination,
+        ...describePayment(req),
+        totalExecutionTimeMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    }, record.tables);
+
+  } catch (error) {
+    sendQueryError(res, error, startTime, refundFailure(req, res, error));
+  }
+});
+
+router.post('/query/async', beforePayment, requireQueryBody, loadSession, requireAnswerableFormat, queryPaymentMiddleware, walletRateLimiter, recordReceipt, async (req, res) => {
+  try {
+    const quote = req.quote;
+    const conversation = quote.request.sessionId ? await sessionService.find(quote.request.sessionId) : null;
+    const job = jobService.create({
+      question: quote.request.query,
+      history: sessionService.context(conversation),
+      sql: quote.sql,
+      quote
+    });
+    res.locals.receipt.jobId = job.id;
+    // The result shape isn't known yet, so the turn is recorded with just the question and SQL
+    const session = await sessionService.addTurn(quote.request.sessionId, {
+      question: job.question,
+      sql: job.sql,
+      generatedSQL: quote.request.generatedSQL,
+      tables: job.tables
+    });
+
+    console.log(`Queued query job ${job.id}: ${job.sql}`);
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      sessionId: session.id,
+      originalQuery: job.question,
+      generatedSQL: job.sql,
+      metadata: {
+        session,
+        ...describePayment(req),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendQueryError(res, error, Date.now(), refundFailure(req, res, error));
+  }
+});
+
+router.get('/jobs/:id', freeRateLimiter, requireSupportedFormat, async (req, res, next) => {
+  const job = jobService.get(req.params.id);
+
+  if (!job) {
+    return next(new NotFoundError('Job not found'));
+  }
+
+  const body = {
+    jobId: job.id,
+    status: job.status,
+    originalQuery: job.question,
+    generatedSQL: job.sql,
+    ...(job.status === 'succeeded' ? { result: await jobService.getResult(job) } : {}),
+    ...(job.status === 'failed' ? {
+      error: job.error.message,
+      type: job.error.type,
+      code: job.error.code,
+      retryable: job.error.retryable,
+      fault: job.error.fault,
+      refund: job.refund || null
+    } : {}),
+    metadata: {
+      ...(job.metadata || {}),
+      price: job.price,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
     }
+  };
+
+  // Only finished results can be rendered as CSV/NDJSON/Arrow; status checks stay JSON
+  if (job.status === 'succeeded') {
+    return sendResult(req, res, body, job.tables);
+  }
+  res.json(body);
+});
+
+router.post('/sql', beforePayment, requireSQLBody, requireSupportedFormat, sqlPaymentMiddleware, walletRateLimiter, recordReceipt, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const { sql } = req.body;
+    const quote = req.quote;
+
+    console.log(`Executing raw SQL: ${quote.sql} (quote ${quote.id}, ${quote.price} ${quote.currency})`);
+    
+    const execution = await queryPipeline.execute(quote.sql);
+    const pagination = await startPagination(quote, execution, 'sql');
+    
+    sendResult(req, res, {
+      submittedSQL: sql,
+      executedSQL: quote.sql,
+      tables: quote.tables,
+      result: execution.result,
+      metadata: {
+        ...execution.metadata,
+        pagination,
+        ...describePayment(req),
+        totalExecutionTimeMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    }, quote.tables);
+
+  } catch (error) {
+    sendQueryError(res, error, startTime, refundFailure(req, res, error));
+  }
+});
+
+router.get('/saved-queries', freeRateLimiter, requireApiKey, (req, res) => {
+  res.json({ savedQueries: savedQueryService.list(req.account.id) });
+});
+
+router.post('/saved-queries', freeRateLimiter, identifyAccount, (req, res) => {
+  try {
+    res.status(201).json(savedQueryService.create(req.body || {}, { accountId: req.account ? req.account.id : null }));
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+router.get('/saved-queries/:id', freeRateLimiter, identifyAccount, loadSavedQuery, (req, res) => {
+  res.json(savedQueryService.describe(req.savedQuery));
+});
+
+router.patch('/saved-queries/:id', freeRateLimiter, identifyAccount, loadSavedQuery, (req, res) => {
+  try {
+    res.json(savedQueryService.update(req.params.id, req.body || {}));
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+router.delete('/saved-queries/:id', freeRateLimiter, identifyAccount, loadSavedQuery, (req, res) => {
+  savedQueryService.delete(req.params.id);
+  res.status(204).end();
+});
+
+router.post('/saved-queries/:id/run', beforePayment, loadSavedQuery, requireSupportedFormat, savedQueryPaymentMiddleware, walletRateLimiter, recordReceipt, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const quote = req.quote;
+    const savedQuery = req.savedQuery;
+
+    console.log(`Running saved query ${savedQuery.id} "${savedQuery.name}" (quote ${quote.id}, ${quote.price} ${quote.currency})`);
+    
+    const execution = await queryPipeline.execute(quote.sql);
+    const pagination = await startPagination(quote, execution, 'saved');
     
-    res.status(statusCode).json({ 
-      error: error.message,
-      type: errorType,
+    sendResult(req, res, {
+      savedQueryId: savedQuery.id,
+      name: savedQuery.name,
+      parameters: quote.request.parameters,
+      executedSQL: quote.sql,
+      result: execution.result,
+      metadata: {
+        ...execution.metadata,
+        pagination,
+        ...describePayment(req),
+        totalExecutionTimeMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    }, quote.tables);
+
+  } catch (error) {
+    sendQueryError(res, error, startTime, refundFailure(req, res, error));
+  }
+});
+
+router.post('/subscriptions', beforePayment, subscriptionPaymentMiddleware, walletRateLimiter, recordReceipt, (req, res) => {
+  try {
+    const quote = req.quote;
+    const subscription = schedulerService.create(quote.request, quote, { accountId: req.account ? req.account.id : null });
+
+    console.log(`Created subscription ${subscription.id}: every ${subscription.intervalMs / 60000} min until ${subscription.expiresAt}`);
+
+    res.status(201).json({
+      ...schedulerService.describe(subscription),
+      secret: subscription.secret,
+      metadata: {
+        receiptId: req.receipt.id,
+        price: describeQuote(quote),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+router.get('/subscriptions/:id', freeRateLimiter, identifyAccount, loadSubscription, (req, res) => {
+  res.json(schedulerService.describe(req.subscription));
+});
+
+router.get('/subscriptions/:id/deliveries', freeRateLimiter, identifyAccount, loadSubscription, (req, res) => {
+  res.json({ deliveries: schedulerService.webhooks.list(req.subscription.id) });
+});
+
+router.delete('/subscriptions/:id', freeRateLimiter, identifyAccount, loadSubscription, (req, res) => {
+  res.json(schedulerService.describe(schedulerService.cancel(req.subscription.id)));
+});
+
+router.post('/credits/topup', beforePayment, creditTopupPaymentMiddleware, walletRateLimiter, recordReceipt, (req, res) => {
+  try {
+    const quote = req.quote;
+    const { apiKey, account, entry } = creditService.topup({
+      apiKey: creditService.apiKeyFrom(req),
+      amount: quote.request.amount,
+      quoteId: quote.id
+    });
+
+    console.log(`Credited ${quote.request.amount} ${quote.currency} to ${account.accountId} (quote ${quote.id})`);
+
+    // The key is only ever shown here; the server keeps just its hash
+    res.status(201).json({
+      ...(apiKey ? { apiKey } : {}),
+      ...account,
+      credited: quote.request.amount,
+      ledgerEntryId: entry.id,
       metadata: {
-        executionTimeMs: executionTime,
+        receiptId: req.receipt.id,
+        price: describeQuote(quote),
         timestamp: new Date().toISOString()
       }
     });
+  } catch (error) {
+    sendQueryError(res, error);
   }
 });
 
-router.get('/health', async (req, res) => {
+router.get('/credits', freeRateLimiter, requireApiKey, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_HISTORY);
+  res.json({
+    ...creditService.describe(req.account),
+    ...creditService.totals(req.account),
+    history: creditService.history(req.account.id, limit)
+  });
+});
+
+// Receipt IDs are unguessable, so the ID itself is the payer's proof of purchase
+router.get('/receipts/:id', freeRateLimiter, (req, res, next) => {
+  const receipt = receiptService.get(req.params.id);
+
+  if (!receipt) {
+    return next(new NotFoundError('Receipt not found'));
+  }
+
+  // Async receipts follow their job to its final outcome
+  const { id, ...rest } = receipt;
+  const job = receipt.jobId ? jobService.get(receipt.jobId) : null;
+  res.json({
+    receiptId: id,
+    ...rest,
+    ...(job ? { outcome: job.status, sql: job.sql, jobCompletedAt: job.completedAt } : {})
+  });
+});
+
+router.get('/sessions/:id', freeRateLimiter, async (req, res) => {
+  try {
+    const session = await sessionService.get(req.params.id);
+    res.json({
+      sessionId: session.id,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      expiresAt: sessionService.describe(session).expiresAt,
+      turns: session.turns
+    });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+router.get('/pricing', freeRateLimiter, (req, res) => {
+  res.json(pricingService.toJSON());
+});
+
+// `failure` carries the fault and any refund token for errors after payment
+function sendQueryError(res, error, startTime = Date.now(), failure = {}) {
+  const { statusCode, headers, body } = toErrorResponse(error);
+  const metadata = {
+    executionTimeMs: Date.now() - startTime,
+    timestamp: new Date().toISOString(),
+    ...(error.attempts ? { attempts: error.attempts } : {})
+  };
+  console.error('Query execution error:', error);
+  if (res.locals.receipt) {
+    res.locals.receipt.error = { message: body.error, type: body.type, code: body.code, fault: failure.fault || null, refundToken: failure.refund ? failure.refund.token : null };
+  }
+  
+  // Headers are already sent once a stream is open, so the error becomes the final event
+  if (res.stream) {
+    res.stream.send('error', { ...body, ...failure, statusCode, metadata });
+    return res.stream.end();
+  }
+  
+  res.status(statusCode).set(headers).json({ ...body, ...failure, metadata });
+}
+
+router.get('/health', freeRateLimiter, async (req, res) => {
   const health = {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     services: {
-      llm: process.env.OPENAI_API_KEY ? 'configured' : 'not_configured',
-      cdp: (process.env.CDP_API_KEY_NAME && process.env.CDP_API_KEY_PRIVATE_KEY) ? 'configured' : 'not_configured',
+      llm: llmService.isConfigured() ? 'configured' : 'not_configured',
+      cdp: cdpService.credentials ? 'configured' : cdpService.credentialsError ? 'invalid' : 'not_configured',
       x402: process.env.X402_WALLET_ID ? 'configured' : 'not_configured'
     }
   };
 
-  try {
-    const cdpTest = await cdpService.testConnection();
-    health.services.cdp_connection = cdpTest.success ? 'connected' : 'failed';
-    if (!cdpTest.success) {
-      health.services.cdp_error = cdpTest.error;
-    }
-  } catch (error) {
-    health.services.cdp_connection = 'failed';
-    health.services.cdp_error = error.message;
+  const cdpCheck = await healthService.check('cdp_query');
+  health.services.cdp_connection = cdpCheck.status === 'pass' ? 'connected' : 'failed';
+  if (cdpCheck.status !== 'pass') {
+    health.services.cdp_error = cdpCheck.error;
   }
 
+  health.circuitBreakers = { cdp: cdpService.breaker.describe() };
+
   const allConfigured = Object.values(health.services).every(status => 
     status === 'configured' || status === 'connected'
   );
+  const allClosed = Object.values(health.circuitBreakers).every(breaker => breaker.state === 'closed');
   
-  if (!allConfigured) {
+  if (!allConfigured || !allClosed) {
     health.status = 'degraded';
   }
 
   res.json(health);
 });
 
-router.get('/examples', (req, res) => {
+// Liveness and readiness for orchestrators. Not rate limited: probes poll from one address, and a 429
+// would read as a failure. Readiness results are cached (HEALTH_PROBE_TTL_MS), so polling stays cheap.
+router.get('/health/live', (req, res) => {
+  res.json(healthService.liveness());
+});
+
+router.get('/health/ready', async (req, res) => {
+  const readiness = await healthService.readiness();
+  res.status(readiness.status === 'ready' ? 200 : 503).json({
+    ...readiness,
+    circuitBreakers: { cdp: cdpService.breaker.describe() }
+  });
+});
+
+router.get('/schema', freeRateLimiter, (req, res) => {
+  res.json(schemaCatalog.toJSON());
+});
+
+router.get('/examples', freeRateLimiter, (req, res) => {
   res.json({
     examples: [
       {
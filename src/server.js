@@ -3,17 +3,40 @@ const cors = require('cors');
 require('dotenv').config();
 
 const queryRoutes = require('./routes/query');
+const { ClientError, ConfigurationError, ValidationError, toErrorResponse } = require('./services/errors');
+const { metrics } = require('./services/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Rate limits key on req.ip, which behind a load balancer must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY === 'true');
+}
+
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://yourdomain.com'] 
     : true,
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Quote-Id', 'X-Quote-Price', 'X-Quote-Expires', 'X-Row-Count', 'X-Column-Types', 'X-Query-Id', 'X-Cache', 'X-Session-Id', 'X-Receipt-Id', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
+// Request metrics, labelled by route pattern; unmatched requests share one label so scanners can't inflate
+// cardinality. req.baseUrl is already reset when an error leaves the router, hence res.locals.mountPath.
+app.use((req, res, next) => {
+  const startTime = Date.now();
+  res.once('finish', () => {
+    metrics.observeRequest({
+      method: req.method,
+      route: req.route ? `${res.locals.mountPath || ''}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+      durationMs: Date.now() - startTime
+    });
+  });
+  next();
+});
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -22,7 +45,22 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use('/api', queryRoutes);
+app.use('/api', (req, res, next) => {
+  res.locals.mountPath = req.baseUrl;
+  next();
+}, queryRoutes);
+
+// Prometheus scrape endpoint. Scrapers must send METRICS_TOKEN as a bearer token: the metrics include
+// revenue, so without a token the endpoint stays closed unless METRICS_PUBLIC=true opens it on purpose.
+app.get('/metrics', async (req, res, next) => {
+  if (!process.env.METRICS_TOKEN && process.env.METRICS_PUBLIC !== 'true') {
+    return next(new ConfigurationError('metrics_not_configured', 'Metrics are disabled until METRICS_TOKEN is set'));
+  }
+  if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return next(new ClientError('metrics_token_invalid', 'Metrics require a valid bearer token'));
+  }
+  res.set('Content-Type', metrics.contentType()).send(await metrics.render());
+});
 
 app.get('/', (req, res) => {
   res.json({
@@ -31,8 +69,26 @@ app.get('/', (req, res) => {
     description: 'A pay-per-query API that converts natural language questions into SQL queries against Base blockchain data',
     endpoints: {
       query: 'POST /api/query',
+      preview: 'POST /api/query/preview',
+      nextPage: 'GET /api/query/next?cursor=...',
+      queryAsync: 'POST /api/query/async',
+      job: 'GET /api/jobs/:id',
+      session: 'GET /api/sessions/:id',
+      savedQueries: 'GET|POST /api/saved-queries',
+      runSavedQuery: 'POST /api/saved-queries/:id/run',
+      subscriptions: 'POST /api/subscriptions',
+      subscription: 'GET|DELETE /api/subscriptions/:id',
+      credits: 'GET /api/credits',
+      creditsTopup: 'POST /api/credits/topup',
+      receipt: 'GET /api/receipts/:id',
+      sql: 'POST /api/sql',
       health: 'GET /api/health',
-      examples: 'GET /api/examples'
+      liveness: 'GET /api/health/live',
+      readiness: 'GET /api/health/ready',
+      examples: 'GET /api/examples',
+      schema: 'GET /api/schema',
+      pricing: 'GET /api/pricing',
+      metrics: 'GET /metrics'
     },
     documentation: 'https://github.com/your-repo/blockchain-query-api'
   });
@@ -41,29 +97,49 @@ app.get('/', (req, res) => {
 app.use((req, res) => {
   res.status(404).json({
     error: 'Endpoint not found',
+    type: 'not_found_error',
+    code: 'not_found',
     availableEndpoints: {
       query: 'POST /api/query',
+      preview: 'POST /api/query/preview',
+      nextPage: 'GET /api/query/next?cursor=...',
+      queryAsync: 'POST /api/query/async',
+      job: 'GET /api/jobs/:id',
+      session: 'GET /api/sessions/:id',
+      savedQueries: 'GET|POST /api/saved-queries',
+      runSavedQuery: 'POST /api/saved-queries/:id/run',
+      subscriptions: 'POST /api/subscriptions',
+      subscription: 'GET|DELETE /api/subscriptions/:id',
+      credits: 'GET /api/credits',
+      creditsTopup: 'POST /api/credits/topup',
+      receipt: 'GET /api/receipts/:id',
+      sql: 'POST /api/sql',
       health: 'GET /api/health',
+      liveness: 'GET /api/health/live',
+      readiness: 'GET /api/health/ready',
       examples: 'GET /api/examples',
+      schema: 'GET /api/schema',
+      pricing: 'GET /api/pricing',
+      metrics: 'GET /metrics',
       root: 'GET /'
     }
   });
 });
 
+// Errors passed to next() by middleware and routes get the same status, code and body as handled query errors
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  
-  if (error.type === 'entity.parse.failed') {
-    return res.status(400).json({
-      error: 'Invalid JSON in request body',
-      type: 'json_parse_error'
-    });
+  const apiError = error.type === 'entity.parse.failed'
+    ? new ValidationError('Invalid JSON in request body', 'invalid_json')
+    : error;
+  const { statusCode, headers, body } = toErrorResponse(apiError);
+
+  if (statusCode >= 500) {
+    console.error('Unhandled error:', error);
   }
-  
-  res.status(500).json({
-    error: 'Internal server error',
-    type: 'server_error',
-    timestamp: new Date().toISOString()
+
+  res.status(statusCode).set(headers).json({
+    ...body,
+    metadata: { timestamp: new Date().toISOString() }
   });
 });
 
@@ -71,7 +147,7 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Blockchain Query API running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Network: ${process.env.NETWORK || 'base-mainnet'}`);
-  console.log(`💰 Price per query: ${process.env.X402_PRICE_USDC || '0.01'} USDC`);
+  console.log(`💰 Pricing: quoted per query (see http://localhost:${PORT}/api/pricing)`);
   console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
   console.log(`📖 Examples: http://localhost:${PORT}/api/examples`);
 });
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { metrics } = require('./metrics');
+
+/*
+ * Any store with async get(key), set(key, value, ttlMs) and delete(key) can be
+ * passed to QueryCache (e.g. a thin Redis wrapper). Values must survive a
+ * JSON round-trip.
+ */
+class MemoryStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert so Map iteration order doubles as LRU order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+const RELATIVE_TIME_PATTERN = /\b(now|current_timestamp|current_date|today|yesterday)\b|\binterval\b/i;
+const UPPER_BOUND_PATTERN = /\b(block_number|number|block_timestamp|timestamp)\s*(<=?|between\b)/i;
+
+class QueryCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.CACHE_ENABLED !== 'false';
+    this.store = options.store || new MemoryStore({
+      maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000
+    });
+    this.questionTtlMs = options.questionTtlMs || parseInt(process.env.CACHE_QUESTION_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+    this.recentResultTtlMs = options.recentResultTtlMs || parseInt(process.env.CACHE_RECENT_RESULT_TTL_MS, 10) || 30 * 1000;
+    this.historicalResultTtlMs = options.historicalResultTtlMs || parseInt(process.env.CACHE_HISTORICAL_RESULT_TTL_MS, 10) || 60 * 60 * 1000;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  normalizeQuestion(question) {
+    return question
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[\s?.!]+$/, '')
+      .trim();
+  }
+
+  // Collapses whitespace and keyword case outside of string literals so formatting differences share an entry
+  normalizeSQL(sql) {
+    return sql
+      .trim()
+      .replace(/;\s*$/, '')
+      .split(/('(?:[^']|'')*')/)
+      .map((part, index) => index % 2 === 1 ? part : part.replace(/\s+/g, ' ').toLowerCase())
+      .join('');
+  }
+
+  // Queries without a fixed upper bound include the chain head and go stale as new blocks land
+  touchesRecentBlocks(sql) {
+    return RELATIVE_TIME_PATTERN.test(sql) || !UPPER_BOUND_PATTERN.test(sql);
+  }
+
+  resultTtl(sql) {
+    return this.touchesRecentBlocks(sql) ? this.recentResultTtlMs : this.historicalResultTtlMs;
+  }
+
+  key(namespace, value) {
+    return `${namespace}:${crypto.createHash('sha256').update(value).digest('hex')}`;
+  }
+
+  async getSQL(question) {
+    return this.read('sql', this.key('sql', this.normalizeQuestion(question)));
+  }
+
+  async setSQL(question, sql) {
+    return this.write(this.key('sql', this.normalizeQuestion(question)), sql, this.questionTtlMs);
+  }
+
+  async getResult(sql) {
+    return this.read('result', this.key('result', this.normalizeSQL(sql)));
+  }
+
+  async setResult(sql, result) {
+    return this.write(this.key('result', this.normalizeSQL(sql)), result, this.resultTtl(sql));
+  }
+
+  async read(namespace, key) {
+    if (!this.enabled) return undefined;
+
+    try {
+      const value = await this.store.get(key);
+      const hit = value !== undefined && value !== null;
+      metrics.observeCacheLookup(namespace, hit);
+      if (!hit) {
+        this.stats.misses++;
+        return undefined;
+      }
+      this.stats.hits++;
+      return value;
+    } catch (error) {
+      console.warn('Cache read failed:', error.message);
+      return undefined;
+    }
+  }
+
+  async write(key, value, ttlMs) {
+    if (!this.enabled) return;
+
+    try {
+      await this.store.set(key, value, ttlMs);
+    } catch (error) {
+      console.warn('Cache write failed:', error.message);
+    }
+  }
+}
+
+module.exports = { QueryCache, MemoryStore };
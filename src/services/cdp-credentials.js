@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { ConfigurationError } = require('./errors');
+
+// PKCS#8 DER prefix for a raw 32-byte Ed25519 seed (RFC 8410)
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+class CDPCredentialError extends ConfigurationError {
+  constructor(message) {
+    super('cdp_credentials_invalid', message);
+  }
+}
+
+// Ed25519 secrets are the 32-byte seed, optionally followed by the 32-byte public key (CDP's format)
+const ed25519Key = (secret, source) => {
+  const key = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, secret.subarray(0, 32)]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  if (secret.length === 64) {
+    const publicKey = Buffer.from(crypto.createPublicKey(key).export({ format: 'jwk' }).x, 'base64url');
+    if (!publicKey.equals(secret.subarray(32))) {
+      throw new CDPCredentialError(`${source} is 64 bytes but its second half is not the public key of its first; it is not an Ed25519 secret`);
+    }
+  }
+  return key;
+};
+
+const describeKeyObject = (key, source) => {
+  if (key.asymmetricKeyType === 'ed25519') {
+    return { algorithm: 'EdDSA', key };
+  }
+  if (key.asymmetricKeyType === 'ec') {
+    const curve = key.asymmetricKeyDetails.namedCurve;
+    if (curve !== 'prime256v1') {
+      throw new CDPCredentialError(`${source} is an EC key on ${curve}; CDP keys use P-256 (prime256v1)`);
+    }
+    return { algorithm: 'ES256', key };
+  }
+  throw new CDPCredentialError(`${source} is an unsupported ${key.asymmetricKeyType} key; expected EC P-256 or Ed25519`);
+};
+
+// Accepts a PEM key (EC or Ed25519), a base64 Ed25519 secret (32 or 64 bytes), or the base64 body of an
+// EC key without its PEM armor. Returns { algorithm, key } with key as a crypto KeyObject.
+const parsePrivateKey = (value, source = 'CDP private key') => {
+  // .env files often carry PEM newlines as literal "\n"
+  const text = String(value).trim().replace(/\\n/g, '\n');
+
+  if (text.startsWith('-----BEGIN')) {
+    let key;
+    try {
+      key = crypto.createPrivateKey(text);
+    } catch (error) {
+      throw new CDPCredentialError(`${source} looks like PEM but could not be parsed: ${error.message}`);
+    }
+    return describeKeyObject(key, source);
+  }
+
+  const compact = text.replace(/\s+/g, '');
+  if (!BASE64_PATTERN.test(compact)) {
+    throw new CDPCredentialError(`${source} is neither PEM nor base64`);
+  }
+
+  const bytes = Buffer.from(compact, 'base64');
+  if (bytes.length === 32 || bytes.length === 64) {
+    return { algorithm: 'EdDSA', key: ed25519Key(bytes, source) };
+  }
+
+  for (const type of ['sec1', 'pkcs8']) {
+    try {
+      return describeKeyObject(crypto.createPrivateKey({ key: bytes, format: 'der', type }), source);
+    } catch (error) {
+      if (error instanceof CDPCredentialError) throw error;
+    }
+  }
+  throw new CDPCredentialError(`${source} decodes to ${bytes.length} bytes, which is neither an Ed25519 secret (32 or 64 bytes) nor a DER EC key`);
+};
+
+// CDP key files: legacy { name, privateKey (EC PEM) } or current { id, privateKey (base64 Ed25519) }
+const readKeyFile = filePath => {
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new CDPCredentialError(`CDP key file ${filePath} could not be read as JSON: ${error.message}`);
+  }
+
+  const keyName = contents.name || contents.id;
+  if (!keyName || !contents.privateKey) {
+    throw new CDPCredentialError(`CDP key file ${filePath} must contain "name" (or "id") and "privateKey"`);
+  }
+  return { keyName, privateKey: contents.privateKey, source: `privateKey in ${filePath}` };
+};
+
+// CDP_API_KEY_FILE takes precedence over CDP_API_KEY_NAME / CDP_API_KEY_PRIVATE_KEY.
+// Returns null when nothing is configured; throws CDPCredentialError when something is but is unusable.
+const loadCredentials = (env = process.env) => {
+  let raw;
+  if (env.CDP_API_KEY_FILE) {
+    raw = readKeyFile(env.CDP_API_KEY_FILE);
+  } else if (env.CDP_API_KEY_NAME && env.CDP_API_KEY_PRIVATE_KEY) {
+    raw = { keyName: env.CDP_API_KEY_NAME, privateKey: env.CDP_API_KEY_PRIVATE_KEY, source: 'CDP_API_KEY_PRIVATE_KEY' };
+  } else if (env.CDP_API_KEY_NAME || env.CDP_API_KEY_PRIVATE_KEY) {
+    throw new CDPCredentialError('CDP_API_KEY_NAME and CDP_API_KEY_PRIVATE_KEY must be set together');
+  } else {
+    return null;
+  }
+
+  return { keyName: raw.keyName, privateKey: raw.privateKey, ...parsePrivateKey(raw.privateKey, raw.source) };
+};
+
+// Compact JWS. ES256 signatures are the raw r||s pair (IEEE P1363), not DER.
+const signJWT = ({ keyName, algorithm, key }, claims) => {
+  const header = { typ: 'JWT', alg: algorithm, kid: keyName, nonce: crypto.randomBytes(16).toString('hex') };
+  const signingInput = `${Buffer.from(JSON.stringify(header)).toString('base64url')}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  const signature = algorithm === 'EdDSA'
+    ? crypto.sign(null, Buffer.from(signingInput), key)
+    : crypto.sign('sha256', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+module.exports = { CDPCredentialError, loadCredentials, parsePrivateKey, signJWT };
@@ -0,0 +1,91 @@
+const VEGA_LITE_SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+const MAX_RANKING_ROWS = 50;
+const MAX_SERIES = 10;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// CDP returns NUMERIC columns as strings, so a column counts as a measure if every value is a decimal number
+const isQuantitative = (rows, column) => {
+  if (['integer', 'bigint', 'double'].includes(column.type)) return true;
+  if (column.type !== 'string') return false;
+
+  const values = rows.map(row => row[column.name]).filter(value => value !== null && value !== undefined);
+  return values.length > 0 && values.every(value => DECIMAL_PATTERN.test(String(value)));
+};
+
+// Day buckets (CAST(... AS DATE)) come back as plain dates, which the formatters type as strings
+const isTemporal = (rows, column) => {
+  if (column.type === 'timestamp') return true;
+  if (column.type !== 'string') return false;
+
+  const values = rows.map(row => row[column.name]).filter(value => value !== null && value !== undefined);
+  return values.length > 0 && values.every(value => DATE_PATTERN.test(String(value)));
+};
+
+const distinctCount = (rows, name) => new Set(rows.map(row => row[name])).size;
+
+// Aggregates are usually selected last (SELECT day, COUNT(*) ...), so the last measure wins
+const pickMeasure = measures => measures[measures.length - 1];
+
+const timeSeriesSpec = (rows, columns) => {
+  const time = columns.find(column => isTemporal(rows, column));
+  const measures = columns.filter(column => column !== time && isQuantitative(rows, column));
+  if (!time || measures.length === 0) return null;
+
+  const measure = pickMeasure(measures);
+  const series = columns.find(column => column !== time && !measures.includes(column) &&
+    ['string', 'boolean'].includes(column.type) && distinctCount(rows, column.name) <= MAX_SERIES);
+
+  return {
+    mark: { type: 'line', point: true },
+    encoding: {
+      x: { field: time.name, type: 'temporal', title: time.name },
+      y: { field: measure.name, type: 'quantitative', title: measure.name },
+      ...(series ? { color: { field: series.name, type: 'nominal', title: series.name } } : {})
+    }
+  };
+};
+
+const rankingSpec = (rows, columns) => {
+  if (rows.length > MAX_RANKING_ROWS) return null;
+
+  const measures = columns.filter(column => isQuantitative(rows, column));
+  const category = columns.find(column => !measures.includes(column) && column.type === 'string');
+  if (!category || measures.length === 0 || distinctCount(rows, category.name) !== rows.length) return null;
+
+  const measure = pickMeasure(measures);
+  return {
+    mark: 'bar',
+    encoding: {
+      y: { field: category.name, type: 'nominal', sort: '-x', title: category.name },
+      x: { field: measure.name, type: 'quantitative', title: measure.name }
+    }
+  };
+};
+
+// Vega-Lite spec for results that are a time series or a ranking, with the rows inlined; null otherwise
+const buildChartSpec = (rows, columns, { title } = {}) => {
+  if (!Array.isArray(rows) || rows.length < 2) return null;
+
+  const spec = timeSeriesSpec(rows, columns) || rankingSpec(rows, columns);
+  if (!spec) return null;
+
+  // Inline values aren't type-parsed by Vega-Lite, so numeric strings are converted here
+  const quantitative = Object.values(spec.encoding).filter(channel => channel.type === 'quantitative').map(channel => channel.field);
+  const values = rows.map(row => {
+    const converted = { ...row };
+    for (const field of quantitative) {
+      if (converted[field] !== null && converted[field] !== undefined) converted[field] = Number(converted[field]);
+    }
+    return converted;
+  });
+
+  return {
+    $schema: VEGA_LITE_SCHEMA,
+    ...(title ? { title } : {}),
+    data: { values },
+    ...spec
+  };
+};
+
+module.exports = { buildChartSpec };
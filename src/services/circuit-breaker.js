@@ -0,0 +1,67 @@
+// Consecutive-failure circuit breaker. After `failureThreshold` failures in a row it opens and
+// rejects calls for `resetTimeoutMs`; the first call after that is a trial (half_open) that either
+// closes the circuit or opens it again.
+class CircuitBreaker {
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  // Milliseconds until a call is allowed again; 0 when it may proceed now
+  blockedForMs() {
+    if (this.state === 'open') {
+      const remaining = this.openedAt + this.resetTimeoutMs - Date.now();
+      if (remaining > 0) return remaining;
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return this.resetTimeoutMs;
+      this.trialInFlight = true;
+    }
+    return 0;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`Circuit ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastFailure = { message: error.message, code: error.code || null, at: new Date().toISOString() };
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`Circuit ${this.name} opened after ${this.consecutiveFailures} consecutive failure(s): ${error.message}`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  describe() {
+    const open = this.state === 'open';
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: open ? new Date(this.openedAt).toISOString() : null,
+      retryAt: open ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
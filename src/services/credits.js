@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { ClientError } = require('./errors');
+
+class CreditError extends ClientError {
+  constructor(message, code = 'topup_invalid') {
+    super(code, message);
+  }
+}
+
+class ApiKeyError extends CreditError {
+  constructor(message) {
+    super(message, 'api_key_invalid');
+  }
+}
+
+class InsufficientCreditsError extends CreditError {
+  constructor(balance, required) {
+    super(`Insufficient credits: balance ${balance} USDC, ${required} USDC required`, 'insufficient_credits');
+    this.balance = balance;
+    this.required = required;
+  }
+
+  details() {
+    return { balance: this.balance, required: this.required };
+  }
+}
+
+const DEFAULT_DATA_DIR = path.join(process.cwd(), 'data');
+// Ledger entries kept in memory per account, the most GET /api/credits returns
+const MAX_HISTORY = 500;
+
+// Balances are kept in integer micro-USDC so repeated debits don't accumulate float error
+const toMicros = amount => Math.round(amount * 1e6);
+const fromMicros = micros => micros / 1e6;
+
+// Prepaid balances funded by x402 top-ups. Accounts are identified by an API key that is only
+// returned at creation; the store keeps its SHA-256 hash along with the balance and running totals.
+// Every balance change is also a ledger entry, appended to credit-ledger.jsonl as one JSON line, so
+// a debit never rewrites the ledger. Only each account's latest entries are kept in memory.
+class CreditService {
+  constructor({ accounts, dataDir } = {}) {
+    this.accounts = accounts || new JsonStore('credit-accounts');
+    this.dataDir = dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    this.ledgerPath = path.join(this.dataDir, 'credit-ledger.jsonl');
+    this.recentEntries = new Map();
+    this.minTopup = parseFloat(process.env.CREDITS_MIN_TOPUP_USDC) || 1;
+    this.maxTopup = parseFloat(process.env.CREDITS_MAX_TOPUP_USDC) || 1000;
+
+    this.loadLedger();
+  }
+
+  loadLedger() {
+    let contents;
+    try {
+      contents = fs.readFileSync(this.ledgerPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load ${this.ledgerPath}, starting empty:`, error.message);
+      }
+      return;
+    }
+
+    for (const line of contents.split('\n')) {
+      if (!line) continue;
+      try {
+        this.remember(JSON.parse(line));
+      } catch (error) {
+        console.error(`Skipping unreadable line in ${this.ledgerPath}:`, error.message);
+      }
+    }
+
+    // A crash mid-append leaves a partial last line; terminate it so the next entry starts cleanly
+    if (contents && !contents.endsWith('\n')) {
+      fs.appendFileSync(this.ledgerPath, '\n');
+    }
+  }
+
+  remember(entry) {
+    const entries = this.recentEntries.get(entry.accountId) || [];
+    entries.push(entry);
+    if (entries.length > MAX_HISTORY) entries.shift();
+    this.recentEntries.set(entry.accountId, entries);
+  }
+
+  // X-API-Key, or Authorization: Bearer <key>
+  apiKeyFrom(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(cq_[a-f0-9]+)$/i);
+    return match ? match[1] : null;
+  }
+
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  authenticate(apiKey) {
+    const account = apiKey ? this.accounts.get(this.hashKey(apiKey)) : null;
+    if (!account) {
+      throw new ApiKeyError(apiKey ? 'Invalid API key' : 'An API key is required (X-API-Key header)');
+    }
+    return account;
+  }
+
+  checkTopupAmount(amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < this.minTopup || amount > this.maxTopup) {
+      throw new CreditError(`amount must be a number of USDC between ${this.minTopup} and ${this.maxTopup}`);
+    }
+    return fromMicros(toMicros(amount));
+  }
+
+  // Creates an account (and key) when no API key is given, otherwise adds to the existing balance
+  topup({ apiKey, amount, quoteId }) {
+    let account;
+    let newKey = null;
+
+    if (apiKey) {
+      account = this.authenticate(apiKey);
+    } else {
+      newKey = `cq_${crypto.randomBytes(24).toString('hex')}`;
+      account = {
+        id: `acct_${crypto.randomBytes(12).toString('hex')}`,
+        keyHash: this.hashKey(newKey),
+        balance: 0,
+        toppedUp: 0,
+        spent: 0,
+        createdAt: new Date().toISOString()
+      };
+    }
+
+    const entry = this.record(account, { type: 'topup', amount: toMicros(amount), quoteId, description: 'x402 top-up' });
+    return { apiKey: newKey, account: this.describe(this.accounts.get(account.keyHash)), entry };
+  }
+
+  // Debits happen before the query runs, exactly where an x402 payment would be settled
+  debit({ apiKey, amount, quoteId, endpoint, description }) {
+    const account = this.authenticate(apiKey);
+    const micros = toMicros(amount);
+
+    if (account.balance < micros) {
+      throw new InsufficientCreditsError(fromMicros(account.balance), amount);
+    }
+
+    const entry = this.record(account, { type: 'debit', amount: -micros, quoteId, endpoint, description });
+    return { accountId: account.id, charged: amount, balance: fromMicros(entry.balanceAfter), entryId: entry.id };
+  }
+
+  record(account, { type, amount, quoteId = null, endpoint = null, description = null }) {
+    const balanceAfter = account.balance + amount;
+    const entry = {
+      id: `led_${crypto.randomBytes(12).toString('hex')}`,
+      accountId: account.id,
+      type,
+      amount,
+      balanceAfter,
+      quoteId,
+      endpoint,
+      description,
+      createdAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    fs.appendFileSync(this.ledgerPath, `${JSON.stringify(entry)}\n`);
+    this.remember(entry);
+
+    this.accounts.set(account.keyHash, {
+      ...account,
+      balance: balanceAfter,
+      toppedUp: account.toppedUp + (type === 'topup' ? amount : 0),
+      spent: account.spent - (type === 'debit' ? amount : 0),
+      updatedAt: entry.createdAt
+    });
+    return entry;
+  }
+
+  // Newest first
+  history(accountId, limit = 50) {
+    return (this.recentEntries.get(accountId) || [])
+      .slice(-limit)
+      .reverse()
+      .map(entry => ({
+        ...entry,
+        amount: fromMicros(entry.amount),
+        balanceAfter: fromMicros(entry.balanceAfter)
+      }));
+  }
+
+  totals(account) {
+    return { toppedUp: fromMicros(account.toppedUp), spent: fromMicros(account.spent) };
+  }
+
+  describe(account) {
+    return {
+      accountId: account.id,
+      balance: fromMicros(account.balance),
+      currency: 'USDC',
+      createdAt: account.createdAt,
+      updatedAt: account.updatedAt
+    };
+  }
+}
+
+module.exports = { MAX_HISTORY, CreditService, CreditError, ApiKeyError, InsufficientCreditsError };
@@ -0,0 +1,127 @@
+// Stable, machine-readable error codes. `type` is the older, coarser category that existing
+// clients match on; it is kept alongside the code. README "Error Handling" documents this catalog.
+const ERROR_CODES = {
+  // Client errors: fix the request before retrying
+  invalid_request: { statusCode: 400, type: 'validation_error' },
+  invalid_json: { statusCode: 400, type: 'json_parse_error' },
+  unsupported_format: { statusCode: 406, type: 'validation_error' },
+  sql_validation_failed: { statusCode: 400, type: 'sql_validation_error' },
+  invalid_sql: { statusCode: 400, type: 'invalid_sql_error' },
+  quote_invalid: { statusCode: 400, type: 'quote_error' },
+  cursor_invalid: { statusCode: 400, type: 'cursor_error' },
+  saved_query_invalid: { statusCode: 400, type: 'saved_query_error' },
+  subscription_invalid: { statusCode: 400, type: 'subscription_error' },
+  webhook_url_invalid: { statusCode: 400, type: 'webhook_error' },
+  topup_invalid: { statusCode: 400, type: 'credit_error' },
+  api_key_invalid: { statusCode: 401, type: 'auth_error' },
+  metrics_token_invalid: { statusCode: 401, type: 'auth_error' },
+  insufficient_credits: { statusCode: 402, type: 'insufficient_credits' },
+  refund_token_invalid: { statusCode: 402, type: 'refund_error' },
+  not_found: { statusCode: 404, type: 'not_found_error' },
+  session_not_found: { statusCode: 404, type: 'session_error' },
+  rate_limited: { statusCode: 429, type: 'rate_limit_error', retryable: true },
+
+  // Service errors: ours or an upstream's. Retryable ones may succeed unchanged later.
+  internal_error: { statusCode: 500, type: 'server_error' },
+  payment_not_configured: { statusCode: 503, type: 'x402_config_error' },
+  llm_not_configured: { statusCode: 503, type: 'llm_config_error' },
+  llm_unavailable: { statusCode: 502, type: 'llm_error', retryable: true },
+  cdp_not_configured: { statusCode: 503, type: 'cdp_config_error' },
+  metrics_not_configured: { statusCode: 503, type: 'metrics_config_error' },
+  cdp_credentials_invalid: { statusCode: 503, type: 'cdp_config_error' },
+  cdp_auth_failed: { statusCode: 502, type: 'cdp_auth_error' },
+  cdp_rate_limited: { statusCode: 503, type: 'rate_limit_error', retryable: true },
+  cdp_timeout: { statusCode: 504, type: 'query_execution_error', retryable: true },
+  cdp_unavailable: { statusCode: 502, type: 'query_execution_error', retryable: true },
+  cdp_network_error: { statusCode: 502, type: 'query_execution_error', retryable: true },
+  cdp_circuit_open: { statusCode: 503, type: 'query_execution_error', retryable: true },
+  sql_correction_failed: { statusCode: 502, type: 'query_execution_error' }
+};
+
+class ApiError extends Error {
+  constructor(code, message, { retryable, retryAfterSeconds = null } = {}) {
+    super(message);
+    const entry = ERROR_CODES[code] || ERROR_CODES.internal_error;
+    this.name = this.constructor.name;
+    this.code = code;
+    this.type = entry.type;
+    this.statusCode = entry.statusCode;
+    this.retryable = retryable !== undefined ? retryable : Boolean(entry.retryable);
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+
+  // Extra response fields specific to the error (validation reasons, credit balance, ...)
+  details() {
+    return {};
+  }
+}
+
+// The request was at fault: not refunded, and retrying unchanged won't help (except rate limits)
+class ClientError extends ApiError {}
+
+// We or an upstream service were at fault
+class ServiceError extends ApiError {}
+
+class ValidationError extends ClientError {
+  constructor(message, code = 'invalid_request') {
+    super(code, message);
+  }
+}
+
+class NotFoundError extends ClientError {
+  constructor(message) {
+    super('not_found', message);
+  }
+}
+
+class RateLimitError extends ClientError {
+  constructor(message, retryAfterSeconds) {
+    super('rate_limited', message, { retryAfterSeconds });
+  }
+}
+
+// CDP rejected the SQL itself (HTTP 400); the query pipeline asks the LLM to correct these
+class InvalidSQLError extends ClientError {
+  constructor(message) {
+    super('invalid_sql', message);
+  }
+}
+
+class ConfigurationError extends ServiceError {}
+
+// CDP or LLM provider failures. `retryable` defaults from the catalog.
+class UpstreamError extends ServiceError {}
+
+const isServiceError = error => !(error instanceof ClientError);
+
+// Status, headers and JSON body for any error. Unknown errors are reported as internal without their message.
+const toErrorResponse = error => {
+  const apiError = error instanceof ApiError ? error : new ServiceError('internal_error', 'Internal server error');
+  return {
+    statusCode: apiError.statusCode,
+    headers: apiError.retryAfterSeconds ? { 'Retry-After': String(apiError.retryAfterSeconds) } : {},
+    body: {
+      error: apiError.message,
+      type: apiError.type,
+      code: apiError.code,
+      retryable: apiError.retryable,
+      ...(apiError.retryAfterSeconds ? { retryAfterSeconds: apiError.retryAfterSeconds } : {}),
+      ...apiError.details()
+    }
+  };
+};
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  ClientError,
+  ServiceError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  InvalidSQLError,
+  ConfigurationError,
+  UpstreamError,
+  isServiceError,
+  toErrorResponse
+};
@@ -0,0 +1,195 @@
+const arrow = require('apache-arrow');
+
+const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  arrow: 'application/vnd.apache.arrow.stream'
+};
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ZONE_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const INTEGER_PATTERN = /^-?\d+$/;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+const INT32_MAX = 2 ** 31 - 1;
+
+// CDP returns timestamps without a zone and means UTC; Date would read those as local time
+const parseTimestamp = value => {
+  if (value instanceof Date) return value;
+  const text = String(value);
+  const date = new Date(TIMESTAMP_PATTERN.test(text) && !ZONE_PATTERN.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Schema catalog type names mapped onto the handful of logical types the formatters care about
+const normalizeType = type => {
+  const lower = String(type || '').toLowerCase();
+  if (/^(u?int(8|16|32)|integer|smallint|int)$/.test(lower)) return 'integer';
+  if (/^(u?int64|bigint)$/.test(lower)) return 'bigint';
+  if (/^(float|double|real|float32|float64|double precision)$/.test(lower)) return 'double';
+  if (/^(bool|boolean)$/.test(lower)) return 'boolean';
+  if (/^(timestamp|datetime|date)/.test(lower)) return 'timestamp';
+  if (/^(json|jsonb|map|tuple|array)/.test(lower)) return 'json';
+  return 'string';
+};
+
+const inferValueType = values => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return 'string';
+  if (present.every(value => typeof value === 'boolean')) return 'boolean';
+  if (present.every(value => typeof value === 'number')) {
+    return present.every(Number.isSafeInteger) ? 'bigint' : 'double';
+  }
+  if (present.every(value => typeof value === 'object')) return 'json';
+  if (present.every(value => typeof value === 'string' && TIMESTAMP_PATTERN.test(value))) return 'timestamp';
+  return 'string';
+};
+
+// Aliased aggregates of integer columns: SUM can outgrow int32, AVG has fractions
+const WIDER_TYPES = { integer: ['bigint', 'double'], bigint: ['double'] };
+
+// Whether every value can be stored as `type` without losing anything
+const fitsType = (values, type) => values.every(value => {
+  if (value === null || value === undefined || value === '') return true;
+  switch (type) {
+    case 'integer':
+      return (typeof value === 'number' ? Number.isInteger(value) : INTEGER_PATTERN.test(value)) && Math.abs(Number(value)) <= INT32_MAX;
+    case 'bigint':
+      return Number.isSafeInteger(value) || (typeof value === 'string' && INTEGER_PATTERN.test(value) && BigInt.asIntN(64, BigInt(value)) === BigInt(value));
+    case 'double':
+      if (typeof value === 'number') return true;
+      // Integers past 2^53 would be rounded, so they stay strings
+      return typeof value === 'string' && DECIMAL_PATTERN.test(value) && (!INTEGER_PATTERN.test(value) || Number.isSafeInteger(Number(value)));
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false' || value === 0 || value === 1;
+    case 'timestamp':
+      return (typeof value === 'string' || value instanceof Date) && parseTimestamp(value) !== null;
+    default:
+      return true;
+  }
+});
+
+// Column types come from the schema catalog when the column belongs to a queried table, else from the
+// values. Output names can be aliases (`AVG(gas_used) AS gas_used`), so a catalog type the values don't
+// fit is ignored rather than truncating or dropping them: a wider type is tried, then the values decide.
+const describeColumns = (rows, { catalog, tables = [] } = {}) => {
+  const names = [];
+  for (const row of rows) {
+    for (const name of Object.keys(row)) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+
+  const catalogTypes = new Map();
+  if (catalog) {
+    for (const tableName of tables) {
+      const table = catalog.getTable(tableName);
+      if (!table) continue;
+      for (const column of table.columns) {
+        if (!catalogTypes.has(column.name)) catalogTypes.set(column.name, column.type);
+      }
+    }
+  }
+
+  return names.map(name => {
+    const values = rows.map(row => row[name]);
+    const sourceType = catalogTypes.has(name) ? normalizeType(catalogTypes.get(name)) : null;
+    const candidates = sourceType ? [sourceType, ...(WIDER_TYPES[sourceType] || [])] : [];
+    return { name, type: candidates.find(type => fitsType(values, type)) || inferValueType(values) };
+  });
+};
+
+const csvCell = value => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (rows, columns) => {
+  const lines = [columns.map(column => csvCell(column.name)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column.name])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const toNDJSON = rows => rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+
+const ARROW_TYPES = {
+  integer: () => new arrow.Int32(),
+  bigint: () => new arrow.Int64(),
+  double: () => new arrow.Float64(),
+  boolean: () => new arrow.Bool(),
+  timestamp: () => new arrow.TimestampMillisecond(),
+  json: () => new arrow.Utf8(),
+  string: () => new arrow.Utf8()
+};
+
+const toArrowValue = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+  switch (type) {
+    case 'integer':
+    case 'double':
+      return Number(value);
+    case 'bigint':
+      try {
+        return BigInt(value);
+      } catch (error) {
+        return null;
+      }
+    case 'boolean':
+      return value === true || value === 'true' || value === 1;
+    case 'timestamp':
+      return parseTimestamp(value);
+    case 'json':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+};
+
+const toArrow = (rows, columns) => {
+  const vectors = {};
+  for (const column of columns) {
+    vectors[column.name] = arrow.vectorFromArray(
+      rows.map(row => toArrowValue(row[column.name], column.type)),
+      ARROW_TYPES[column.type]()
+    );
+  }
+  return Buffer.from(arrow.tableToIPC(new arrow.Table(vectors), 'stream'));
+};
+
+// ?format= wins over the Accept header; anything unrecognised falls back to JSON
+const negotiateFormat = req => {
+  const param = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : null;
+  if (param) {
+    return FORMATS[param] ? param : null;
+  }
+
+  const accepted = req.accepts([FORMATS.json, FORMATS.csv, FORMATS.ndjson, FORMATS.arrow, 'application/vnd.apache.arrow.file']);
+  if (accepted === 'application/vnd.apache.arrow.file') return 'arrow';
+  return Object.keys(FORMATS).find(format => FORMATS[format] === accepted) || 'json';
+};
+
+const serializeRows = (format, rows, columns) => {
+  switch (format) {
+    case 'csv':
+      return toCSV(rows, columns);
+    case 'ndjson':
+      return toNDJSON(rows);
+    case 'arrow':
+      return toArrow(rows, columns);
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+};
+
+module.exports = {
+  FORMATS,
+  describeColumns,
+  negotiateFormat,
+  serializeRows,
+  toCSV,
+  toNDJSON,
+  toArrow
+};
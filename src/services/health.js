@@ -0,0 +1,72 @@
+const { toErrorResponse } = require('./errors');
+
+// Readiness probes against the real dependencies. Each probe is an async function that throws when
+// the dependency is unusable; results are cached for `ttlMs` and concurrent checks share one run,
+// so frequent readiness polling doesn't turn into CDP queries or LLM calls.
+class HealthService {
+  constructor({ probes, ttlMs, timeoutMs } = {}) {
+    this.probes = probes;
+    this.ttlMs = ttlMs || parseInt(process.env.HEALTH_PROBE_TTL_MS, 10) || 15000;
+    this.timeoutMs = timeoutMs || parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS, 10) || 5000;
+    this.results = new Map();
+    this.inFlight = new Map();
+    this.startedAt = Date.now();
+  }
+
+  liveness() {
+    return {
+      status: 'alive',
+      timestamp: new Date().toISOString(),
+      uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000)
+    };
+  }
+
+  async readiness() {
+    const names = Object.keys(this.probes);
+    const results = await Promise.all(names.map(name => this.check(name)));
+    const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+    return {
+      status: results.every(result => result.status === 'pass') ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+
+  async check(name) {
+    const cached = this.results.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { ...cached.result, cached: true };
+    }
+
+    if (!this.inFlight.has(name)) {
+      this.inFlight.set(name, this.run(name).finally(() => this.inFlight.delete(name)));
+    }
+    return { ...(await this.inFlight.get(name)), cached: false };
+  }
+
+  async run(name) {
+    const startTime = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Probe timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+
+    let result;
+    try {
+      const details = await Promise.race([this.probes[name]({ timeoutMs: this.timeoutMs }), timeout]);
+      result = { status: 'pass', ...details };
+    } catch (error) {
+      // Unknown errors keep their message here: this is an operator endpoint, not a query response
+      result = { status: 'fail', code: toErrorResponse(error).body.code, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    result = { ...result, latencyMs: Date.now() - startTime, checkedAt: new Date().toISOString() };
+    this.results.set(name, { result, expiresAt: Date.now() + this.ttlMs });
+    return result;
+  }
+}
+
+module.exports = HealthService;
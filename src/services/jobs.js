@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { toErrorResponse, isServiceError } = require('./errors');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const STORE_WRITE_DELAY_MS = 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Runs paid queries in the background so the HTTP request can return immediately.
+// Jobs are persisted; anything queued or running when the process stopped is re-run on startup.
+// The job index only holds status and metadata: each result is written to its own file under
+// job-results/, so status changes don't rewrite every stored result.
+class JobService {
+  constructor({ pipeline, refunds, store, resultsDir, concurrency, timeoutMs, retentionMs } = {}) {
+    this.pipeline = pipeline;
+    this.refunds = refunds;
+    this.store = store || new JsonStore('jobs', { writeDelayMs: STORE_WRITE_DELAY_MS });
+    this.resultsDir = resultsDir || path.join(this.store.dataDir, 'job-results');
+    this.concurrency = concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.timeoutMs = timeoutMs || parseInt(process.env.JOB_QUERY_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+    this.retentionMs = retentionMs || (parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+    this.queue = [];
+    this.running = 0;
+
+    this.pruneExpired();
+    this.pruneTimer = setInterval(() => this.pruneExpired(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+    this.resume();
+  }
+
+  create({ question, history = [], sql, quote }) {
+    const job = {
+      id: `job_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'queued',
+      question: question || null,
+      history,
+      sql,
+      tables: quote ? quote.tables : [],
+      endpoint: quote ? quote.endpoint : null,
+      quoteId: quote ? quote.id : null,
+      price: quote ? { amount: quote.price, currency: quote.currency } : null,
+      metadata: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    // Written before returning: the job has been paid for and must survive a crash from here on
+    this.store.set(job.id, job, { immediate: true });
+    this.enqueue(job.id);
+    return job;
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  resultPath(id) {
+    return path.join(this.resultsDir, `${id}.json`);
+  }
+
+  async writeResult(id, result) {
+    await fs.promises.mkdir(this.resultsDir, { recursive: true });
+    const tmpPath = `${this.resultPath(id)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(result));
+    await fs.promises.rename(tmpPath, this.resultPath(id));
+  }
+
+  async getResult(job) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.resultPath(job.id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  resume() {
+    const pending = this.store.values()
+      .filter(job => ACTIVE_STATUSES.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of pending) {
+      this.store.update(job.id, { status: 'queued', startedAt: null });
+      this.enqueue(job.id);
+    }
+
+    if (pending.length > 0) {
+      console.log(`Resumed ${pending.length} unfinished query job(s)`);
+    }
+  }
+
+  pruneExpired() {
+    const cutoff = Date.now() - this.retentionMs;
+    const expired = this.store.deleteWhere(job =>
+      !ACTIVE_STATUSES.includes(job.status) && Date.parse(job.completedAt || job.createdAt) < cutoff);
+
+    for (const job of expired) {
+      fs.promises.rm(this.resultPath(job.id), { force: true })
+        .catch(error => console.error(`Failed to remove result of job ${job.id}:`, error.message));
+    }
+  }
+
+  enqueue(id) {
+    this.queue.push(id);
+    setImmediate(() => this.drain());
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const id = this.queue.shift();
+      this.running++;
+      this.run(id).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(id) {
+    const job = this.store.update(id, { status: 'running', startedAt: new Date().toISOString() });
+    if (!job) return;
+
+    const startTime = Date.now();
+    try {
+      const execution = await this.pipeline.executeWithCorrection(
+        { question: job.question, history: job.history || [], sql: job.sql, tables: job.tables, endpoint: job.endpoint },
+        { timeoutMs: this.timeoutMs }
+      );
+      await this.writeResult(id, execution.result);
+      this.store.update(id, {
+        status: 'succeeded',
+        sql: execution.query.sql,
+        tables: execution.query.tables,
+        metadata: {
+          ...execution.metadata,
+          totalExecutionTimeMs: Date.now() - startTime
+        },
+        completedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Query job ${id} failed:`, error.message);
+      const refund = this.refunds && job.price
+        ? this.refunds.issueFor(error, { endpoint: job.endpoint, quoteId: job.quoteId, ...job.price })
+        : null;
+      const { body } = toErrorResponse(error);
+      this.store.update(id, {
+        status: 'failed',
+        error: {
+          message: body.error,
+          type: body.type,
+          code: body.code,
+          retryable: body.retryable,
+          fault: isServiceError(error) ? 'service' : 'client'
+        },
+        refund,
+        metadata: error.attempts ? { attempts: error.attempts } : null,
+        completedAt: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = JobService;
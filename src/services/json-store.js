@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(process.cwd(), 'data');
+
+// Small persistent collection backed by one JSON file per collection under DATA_DIR.
+// Every write rewrites the file via a temp file + rename so a crash never leaves it half written.
+// By default each change is written synchronously before returning. With `writeDelayMs`, changes are
+// batched into one asynchronous write per window instead (for busy collections that can afford to lose
+// the last moments of changes in a crash); `set(id, value, { immediate: true })` still writes before
+// returning, and pending changes are written on a normal exit.
+class JsonStore {
+  constructor(collection, options = {}) {
+    this.dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, `${collection}.json`);
+    this.records = new Map();
+    this.writeDelayMs = options.writeDelayMs || 0;
+    this.writeTimer = null;
+    this.writing = null;
+    this.dirty = false;
+    this.syncWrites = 0;
+    this.load();
+
+    if (this.writeDelayMs) {
+      process.once('exit', () => this.flushSync());
+    }
+  }
+
+  load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.records = new Map(Object.entries(raw));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load ${this.filePath}, starting empty:`, error.message);
+      }
+      this.records = new Map();
+    }
+  }
+
+  persist({ immediate = false } = {}) {
+    if (!this.writeDelayMs || immediate) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      this.dirty = false;
+      this.writeSync();
+      return;
+    }
+
+    this.dirty = true;
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this.flush(), this.writeDelayMs);
+      this.writeTimer.unref();
+    }
+  }
+
+  writeSync() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.records)));
+    fs.renameSync(tmpPath, this.filePath);
+    this.syncWrites++;
+  }
+
+  // Writes batched changes now. One write runs at a time; changes made during it are written after it.
+  flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    if (this.writing) {
+      return this.writing.then(() => this.flush());
+    }
+    if (!this.dirty) {
+      return Promise.resolve();
+    }
+
+    this.dirty = false;
+    const contents = JSON.stringify(Object.fromEntries(this.records));
+    const tmpPath = `${this.filePath}.${process.pid}.async.tmp`;
+    const syncWrites = this.syncWrites;
+    this.writing = fs.promises.mkdir(this.dataDir, { recursive: true })
+      .then(() => fs.promises.writeFile(tmpPath, contents))
+      .then(() => {
+        // A synchronous write since the snapshot already holds everything in it, and more
+        if (this.syncWrites === syncWrites) {
+          fs.renameSync(tmpPath, this.filePath);
+        } else {
+          fs.rmSync(tmpPath, { force: true });
+        }
+      })
+      .catch(error => {
+        this.dirty = true;
+        console.error(`Failed to write ${this.filePath}:`, error.message);
+      })
+      .finally(() => {
+        this.writing = null;
+      });
+    return this.writing;
+  }
+
+  flushSync() {
+    if (this.dirty) {
+      this.persist({ immediate: true });
+    }
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  set(id, value, { immediate = false } = {}) {
+    this.records.set(id, value);
+    this.persist({ immediate });
+    return value;
+  }
+
+  update(id, changes) {
+    const current = this.records.get(id);
+    if (!current) return null;
+    return this.set(id, { ...current, ...changes });
+  }
+
+  delete(id) {
+    const existed = this.records.delete(id);
+    if (existed) this.persist();
+    return existed;
+  }
+
+  // Removes every record matching the predicate with a single write; returns the removed records
+  deleteWhere(predicate) {
+    const deleted = [];
+    for (const [id, value] of this.records) {
+      if (predicate(value)) {
+        this.records.delete(id);
+        deleted.push(value);
+      }
+    }
+    if (deleted.length > 0) this.persist();
+    return deleted;
+  }
+
+  values() {
+    return Array.from(this.records.values());
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,58 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+class AnthropicProvider {
+  constructor({ name = 'anthropic', apiKey, baseURL, model, temperature, maxTokens, maxRetries }) {
+    this.name = name;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.client = new Anthropic({
+      apiKey,
+      maxRetries,
+      ...(baseURL ? { baseURL } : {})
+    });
+  }
+
+  async complete({ system, messages }) {
+    const response = await this.client.messages.create({
+      model: this.model,
+      system,
+      messages,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    });
+
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      text,
+      provider: this.name,
+      model: response.model || this.model,
+      usage: {
+        inputTokens: response.usage ? response.usage.input_tokens : null,
+        outputTokens: response.usage ? response.usage.output_tokens : null
+      }
+    };
+  }
+
+  // Checks reachability, the API key and the model name without spending tokens
+  async ping() {
+    await this.client.models.retrieve(this.model);
+  }
+
+  describeError(error) {
+    if (error.status === 401) {
+      return 'Invalid Anthropic API key. Please check your configuration.';
+    } else if (error.status === 429) {
+      return 'Anthropic API rate limit or quota exceeded.';
+    } else if (error.status === 529) {
+      return 'Anthropic API is overloaded.';
+    }
+    return `${this.name}: ${error.message}`;
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,68 @@
+const OpenAIProvider = require('./openai');
+const AnthropicProvider = require('./anthropic');
+
+const PROVIDER_DEFINITIONS = {
+  openai: {
+    envPrefix: 'OPENAI',
+    Provider: OpenAIProvider,
+    defaultModel: 'gpt-4',
+    isConfigured: env => !!env.OPENAI_API_KEY
+  },
+  anthropic: {
+    envPrefix: 'ANTHROPIC',
+    Provider: AnthropicProvider,
+    defaultModel: 'claude-sonnet-4-5',
+    isConfigured: env => !!env.ANTHROPIC_API_KEY
+  },
+  'openai-compatible': {
+    envPrefix: 'OPENAI_COMPATIBLE',
+    Provider: OpenAIProvider,
+    defaultModel: null,
+    isConfigured: env => !!env.OPENAI_COMPATIBLE_BASE_URL && !!env.OPENAI_COMPATIBLE_MODEL
+  }
+};
+
+const DEFAULT_ORDER = ['openai', 'anthropic', 'openai-compatible'];
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// LLM_PROVIDERS sets the fallback order (e.g. "anthropic,openai"); unconfigured entries are skipped
+const createProviders = (env = process.env) => {
+  const order = env.LLM_PROVIDERS
+    ? env.LLM_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ORDER;
+
+  const providers = [];
+  for (const name of order) {
+    const definition = PROVIDER_DEFINITIONS[name];
+    if (!definition) {
+      console.warn(`Unknown LLM provider "${name}" in LLM_PROVIDERS. Supported: ${Object.keys(PROVIDER_DEFINITIONS).join(', ')}`);
+      continue;
+    }
+    if (!definition.isConfigured(env)) {
+      if (env.LLM_PROVIDERS) {
+        console.warn(`LLM provider "${name}" is listed in LLM_PROVIDERS but not configured.`);
+      }
+      continue;
+    }
+
+    const prefix = definition.envPrefix;
+    providers.push(new definition.Provider({
+      name,
+      apiKey: env[`${prefix}_API_KEY`],
+      baseURL: env[`${prefix}_BASE_URL`],
+      model: env[`${prefix}_MODEL`] || definition.defaultModel,
+      temperature: parseNumber(env[`${prefix}_TEMPERATURE`], 0.1),
+      maxTokens: parseInt(env[`${prefix}_MAX_TOKENS`], 10) || 500,
+      // Keep SDK retries low so a failing provider hands over to the next one quickly
+      maxRetries: parseNumber(env[`${prefix}_MAX_RETRIES`], 1)
+    }));
+  }
+
+  return providers;
+};
+
+module.exports = { createProviders, PROVIDER_DEFINITIONS };
@@ -0,0 +1,56 @@
+const OpenAI = require('openai');
+
+// Also used for OpenAI-compatible servers (vLLM, Ollama, LM Studio, test stubs) via baseURL
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, model, temperature, maxTokens, maxRetries }) {
+    this.name = name;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-needed',
+      maxRetries,
+      ...(baseURL ? { baseURL } : {})
+    });
+  }
+
+  async complete({ system, messages }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        ...messages
+      ],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    });
+
+    return {
+      text: response.choices[0].message.content || '',
+      provider: this.name,
+      model: response.model || this.model,
+      usage: {
+        inputTokens: response.usage ? response.usage.prompt_tokens : null,
+        outputTokens: response.usage ? response.usage.completion_tokens : null
+      }
+    };
+  }
+
+  // Listing models checks reachability and the API key without spending tokens; compatible servers implement it too
+  async ping() {
+    await this.client.models.list();
+  }
+
+  describeError(error) {
+    if (error.code === 'insufficient_quota') {
+      return 'OpenAI API quota exceeded. Please check your billing.';
+    } else if (error.code === 'invalid_api_key' || error.status === 401) {
+      return `Invalid API key for ${this.name}. Please check your configuration.`;
+    } else if (error.status === 429) {
+      return `${this.name} rate limit exceeded.`;
+    }
+    return `${this.name}: ${error.message}`;
+  }
+}
+
+module.exports = OpenAIProvider;
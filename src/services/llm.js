@@ -1,90 +1,201 @@
-const OpenAI = require('openai');
+const { createProviders } = require('./llm-providers');
+const { SQLValidator } = require('./sql-validator');
+const { ConfigurationError, UpstreamError } = require('./errors');
+const { metrics } = require('./metrics');
+
+const SUMMARY_SAMPLE_ROWS = 50;
 
 class LLMService {
-  constructor() {
-    this.openai = null;
-    this.initializeClient();
+  constructor(options = {}) {
+    this.providers = [];
+    this.catalog = options.catalog || null;
+    this.validator = new SQLValidator({ catalog: this.catalog });
+    this.initializeClient(options.providers);
   }
 
-  initializeClient() {
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-    } else if (process.env.ANTHROPIC_API_KEY) {
-      console.warn('Anthropic API support not yet implemented. Please use OpenAI API key.');
+  initializeClient(providers) {
+    try {
+      this.providers = providers || createProviders();
+    } catch (error) {
+      console.error('Failed to initialize LLM providers:', error);
+    }
+
+    if (this.providers.length === 0) {
+      console.warn('No LLM provider configured. Natural language queries will not work.');
     } else {
-      console.warn('No LLM API key configured. Natural language queries will not work.');
+      console.log(`LLM providers (in fallback order): ${this.providers.map(p => `${p.name}/${p.model}`).join(', ')}`);
+    }
+  }
+
+  isConfigured() {
+    return this.providers.length > 0;
+  }
+
+  // Tries each provider in order and returns the first successful completion
+  async complete({ system, messages }) {
+    if (!this.isConfigured()) {
+      throw new ConfigurationError('llm_not_configured', 'LLM service not properly configured. Please set OPENAI_API_KEY, ANTHROPIC_API_KEY or OPENAI_COMPATIBLE_BASE_URL environment variable.');
+    }
+
+    const failures = [];
+    for (const provider of this.providers) {
+      const startTime = Date.now();
+      try {
+        const completion = await provider.complete({ system, messages });
+        metrics.observeLLM({ provider: provider.name, model: provider.model, durationMs: Date.now() - startTime, usage: completion.usage });
+        return completion;
+      } catch (error) {
+        metrics.observeLLM({ provider: provider.name, model: provider.model, durationMs: Date.now() - startTime, error });
+        const reason = provider.describeError(error);
+        console.warn(`LLM provider ${provider.name} failed: ${reason}`);
+        failures.push(reason);
+      }
     }
+
+    throw new UpstreamError('llm_unavailable', `LLM service error: ${failures.join(' | ')}`);
   }
 
-  async convertToSQL(naturalLanguageQuery) {
-    if (!this.openai) {
-      throw new Error('LLM service not properly configured. Please set OPENAI_API_KEY environment variable.');
+  // Pings every provider; fails only when none answers, since complete() falls back between them
+  async ping() {
+    if (!this.isConfigured()) {
+      throw new ConfigurationError('llm_not_configured', 'No LLM provider configured');
     }
 
-    const systemPrompt = `You are a SQL expert for Base blockchain data. Convert natural language queries to SQL.
+    const providers = await Promise.all(this.providers.map(async provider => {
+      try {
+        await provider.ping();
+        return { name: provider.name, model: provider.model, status: 'pass' };
+      } catch (error) {
+        return { name: provider.name, model: provider.model, status: 'fail', error: provider.describeError(error) };
+      }
+    }));
+
+    if (!providers.some(provider => provider.status === 'pass')) {
+      throw new UpstreamError('llm_unavailable', `No LLM provider reachable: ${providers.map(provider => provider.error).join(' | ')}`);
+    }
+    return { providers };
+  }
+
+  async convertToSQL(naturalLanguageQuery, options = {}) {
+    return this.validateSQL(await this.generateSQL(naturalLanguageQuery, options)).sql;
+  }
+
+  // Returns the model's SQL as written (checked against the policy but without the LIMIT rewrite),
+  // so callers that cache it can still tell whether the question asked for a row limit
+  async generateSQL(naturalLanguageQuery, { history = [] } = {}) {
+    const completion = await this.complete({
+      system: this.sqlSystemPrompt(),
+      messages: [
+        ...this.historyMessages(history),
+        { role: 'user', content: naturalLanguageQuery }
+      ]
+    });
+
+    const sqlQuery = this.extractSQL(completion.text);
+    this.validateSQL(sqlQuery);
+    
+    return sqlQuery;
+  }
+
+  // Replays the failed attempt as conversation history so the model can fix its own query
+  async correctSQL(naturalLanguageQuery, failedSQL, errorMessage, { history = [] } = {}) {
+    const completion = await this.complete({
+      system: this.sqlSystemPrompt(),
+      messages: [
+        ...this.historyMessages(history),
+        { role: 'user', content: naturalLanguageQuery },
+        { role: 'assistant', content: failedSQL },
+        { role: 'user', content: `That query failed with this error:\n${errorMessage}\n\nReturn a corrected SQL query that answers the original question.` }
+      ]
+    });
+
+    const sqlQuery = this.extractSQL(completion.text);
+    this.validateSQL(sqlQuery);
+
+    return sqlQuery;
+  }
+
+  // Earlier session turns as question/SQL pairs; the result shape rides along so follow-ups like
+  // "break that down by day" know which columns the previous answer had
+  historyMessages(history) {
+    return history.flatMap(turn => [
+      { role: 'user', content: turn.question },
+      {
+        role: 'assistant',
+        content: turn.rowCount === null || turn.rowCount === undefined
+          ? turn.generatedSQL
+          : `${turn.generatedSQL}\n-- returned ${turn.rowCount} row(s) with columns: ${turn.columns.map(column => `${column.name} (${column.type})`).join(', ')}`
+      }
+    ]);
+  }
+
+  sqlSystemPrompt() {
+    return `You are a SQL expert for Base blockchain data. Convert natural language queries to SQL.
 
 Available tables and their schemas:
-- base.transactions (hash, block_number, from_address, to_address, value, gas_used, gas_price, block_timestamp)
-- base.events (block_number, transaction_hash, contract_address, event_signature, decoded_params, block_timestamp)
-- base.blocks (number, timestamp, hash, transaction_count, gas_used, gas_limit)
-- base.transfers (block_number, transaction_hash, from_address, to_address, value, token_address, block_timestamp)
+${this.describeSchema()}
 
 Rules:
 - Only SELECT queries are allowed
-- Always limit results to 1000 rows max using LIMIT clause
+- Only add a LIMIT clause when the question asks for a specific number of rows (e.g. "top 10"); results are paged 1000 rows at a time automatically
 - Use proper WHERE clauses for performance, especially with timestamps
 - For time-based queries, use block_timestamp column
 - Return only the SQL query, no explanation or formatting
 - Use standard SQL syntax compatible with PostgreSQL
 - Always include relevant columns in SELECT clause
-- Use appropriate aggregation functions (COUNT, SUM, AVG) when needed`;
+- Use appropriate aggregation functions (COUNT, SUM, AVG) when needed
+- Follow-up questions refer to the previous queries in the conversation; modify or build on the latest one`;
+  }
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: naturalLanguageQuery }
-        ],
-        temperature: 0.1,
-        max_tokens: 500
-      });
-
-      const sqlQuery = response.choices[0].message.content.trim();
-      
-      this.validateSQL(sqlQuery);
-      
-      return sqlQuery;
-    } catch (error) {
-      if (error.code === 'insufficient_quota') {
-        throw new Error('OpenAI API quota exceeded. Please check your billing.');
-      } else if (error.code === 'invalid_api_key') {
-        throw new Error('Invalid OpenAI API key. Please check your configuration.');
-      }
-      throw new Error(`LLM service error: ${error.message}`);
+  async explainSQL(sqlQuery, naturalLanguageQuery) {
+    const completion = await this.complete({
+      system: `You explain SQL queries over Base blockchain data to non-technical users.
+In two or three plain-English sentences, say what data the query reads, how it filters and aggregates it, and what the result will contain.
+Do not repeat the SQL and do not use markdown.`,
+      messages: [{
+        role: 'user',
+        content: `${naturalLanguageQuery ? `Question: ${naturalLanguageQuery}\n` : ''}SQL: ${sqlQuery}`
+      }]
+    });
+
+    return completion.text.trim();
+  }
+
+  // Rows are sampled so large results don't blow the prompt; the model is told the full count
+  async summarizeResult(naturalLanguageQuery, sqlQuery, rows) {
+    const sample = rows.slice(0, SUMMARY_SAMPLE_ROWS);
+    const completion = await this.complete({
+      system: `You answer questions about Base blockchain data from query results.
+Reply in one or two plain-English sentences that directly answer the question, citing the key numbers.
+Only state what the rows show. Do not mention SQL and do not use markdown.`,
+      messages: [{
+        role: 'user',
+        content: `Question: ${naturalLanguageQuery}
+SQL: ${sqlQuery}
+Result (${rows.length} row(s)${rows.length > sample.length ? `, first ${sample.length} shown` : ''}):
+${JSON.stringify(sample)}`
+      }]
+    });
+
+    return completion.text.trim();
+  }
+
+  describeSchema() {
+    if (this.catalog) {
+      return this.catalog.toPrompt();
     }
+    return this.validator.allowedTables.size > 0 ? Array.from(this.validator.allowedTables).map(name => `- ${name}`).join('\n') : '';
+  }
+
+  // Models occasionally wrap the query in a markdown code fence despite the prompt
+  extractSQL(content) {
+    const fenced = content.match(/```(?:sql)?\s*([\s\S]*?)```/i);
+    return (fenced ? fenced[1] : content).trim();
   }
 
   validateSQL(sqlQuery) {
-    const upperQuery = sqlQuery.toUpperCase();
-    
-    if (!upperQuery.startsWith('SELECT')) {
-      throw new Error('Only SELECT queries are allowed');
-    }
-    
-    const forbiddenKeywords = ['DROP', 'DELETE', 'UPDATE', 'INSERT', 'CREATE', 'ALTER', 'TRUNCATE'];
-    for (const keyword of forbiddenKeywords) {
-      if (upperQuery.includes(keyword)) {
-        throw new Error(`Forbidden SQL keyword detected: ${keyword}`);
-      }
-    }
-    
-    if (!upperQuery.includes('LIMIT')) {
-      throw new Error('All queries must include a LIMIT clause');
-    }
+    return this.validator.validate(sqlQuery);
   }
 }
 
-module.exports = LLMService;
\ No newline at end of file
+module.exports = LLMService;
@@ -0,0 +1,144 @@
+const client = require('prom-client');
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Prometheus metrics for GET /metrics. One shared instance (`metrics`) is imported by the services
+// that record into it, so instrumenting a service doesn't change how it is constructed.
+class MetricsService {
+  constructor({ registry } = {}) {
+    this.registry = registry || new client.Registry();
+    const registers = [this.registry];
+
+    if (process.env.METRICS_DEFAULT_ENABLED !== 'false') {
+      client.collectDefaultMetrics({ register: this.registry });
+    }
+
+    this.httpRequests = new client.Counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by route and status',
+      labelNames: ['method', 'route', 'status'],
+      registers
+    });
+    this.httpDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by route and status',
+      labelNames: ['method', 'route', 'status'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+
+    this.llmDuration = new client.Histogram({
+      name: 'llm_request_duration_seconds',
+      help: 'LLM completion latency per provider attempt',
+      labelNames: ['provider', 'model', 'outcome'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+    this.llmTokens = new client.Counter({
+      name: 'llm_tokens_total',
+      help: 'LLM tokens used, by direction (input or output)',
+      labelNames: ['provider', 'model', 'direction'],
+      registers
+    });
+
+    this.cdpDuration = new client.Histogram({
+      name: 'cdp_query_duration_seconds',
+      help: 'CDP SQL API latency per attempt (retries are separate attempts)',
+      labelNames: ['outcome'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+    this.cdpErrors = new client.Counter({
+      name: 'cdp_errors_total',
+      help: 'CDP failures by error code, including calls rejected while the circuit is open',
+      labelNames: ['code'],
+      registers
+    });
+
+    this.cacheLookups = new client.Counter({
+      name: 'cache_lookups_total',
+      help: 'Query cache lookups by cache (sql or result) and result (hit or miss)',
+      labelNames: ['cache', 'result'],
+      registers
+    });
+    const cacheLookups = this.cacheLookups;
+    this.cacheHitRatio = new client.Gauge({
+      name: 'cache_hit_ratio',
+      help: 'Share of query cache lookups that hit since startup',
+      labelNames: ['cache'],
+      registers,
+      async collect() {
+        const { values } = await cacheLookups.get();
+        const totals = {};
+        for (const { labels, value } of values) {
+          totals[labels.cache] = totals[labels.cache] || { hit: 0, miss: 0 };
+          totals[labels.cache][labels.result] += value;
+        }
+        this.reset();
+        for (const [cache, { hit, miss }] of Object.entries(totals)) {
+          this.set({ cache }, hit / (hit + miss));
+        }
+      }
+    });
+
+    this.payments = new client.Counter({
+      name: 'payments_total',
+      help: 'Payment attempts by endpoint, method (x402, credits, refund) and outcome (accepted, rejected, required)',
+      labelNames: ['endpoint', 'method', 'outcome'],
+      registers
+    });
+    this.revenue = new client.Counter({
+      name: 'revenue_usdc_total',
+      help: 'USDC settled over x402, by endpoint (credit top-ups included; spending credits is not counted again)',
+      labelNames: ['endpoint'],
+      registers
+    });
+  }
+
+  // `route` is the matched route pattern (e.g. /api/jobs/:id), never the raw path, to keep label cardinality bounded
+  observeRequest({ method, route, status, durationMs }) {
+    const labels = { method, route, status: String(status) };
+    this.httpRequests.inc(labels);
+    this.httpDuration.observe(labels, durationMs / 1000);
+  }
+
+  observeLLM({ provider, model, durationMs, usage, error }) {
+    this.llmDuration.observe({ provider, model, outcome: error ? 'error' : 'success' }, durationMs / 1000);
+    if (usage) {
+      if (usage.inputTokens) this.llmTokens.inc({ provider, model, direction: 'input' }, usage.inputTokens);
+      if (usage.outputTokens) this.llmTokens.inc({ provider, model, direction: 'output' }, usage.outputTokens);
+    }
+  }
+
+  // durationMs is null for calls that never reached CDP (circuit open)
+  observeCDP({ durationMs, error }) {
+    if (durationMs !== null) {
+      this.cdpDuration.observe({ outcome: error ? 'error' : 'success' }, durationMs / 1000);
+    }
+    if (error) {
+      this.cdpErrors.inc({ code: error.code || 'internal_error' });
+    }
+  }
+
+  observeCacheLookup(cache, hit) {
+    this.cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+  }
+
+  observePayment({ endpoint, method, outcome }) {
+    this.payments.inc({ endpoint, method, outcome });
+  }
+
+  observeRevenue({ endpoint, amount }) {
+    this.revenue.inc({ endpoint }, amount);
+  }
+
+  contentType() {
+    return this.registry.contentType;
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = { MetricsService, metrics: new MetricsService() };
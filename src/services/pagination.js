@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { MemoryStore } = require('./cache');
+const { ClientError } = require('./errors');
+
+class CursorError extends ClientError {
+  constructor(message) {
+    super('cursor_invalid', message);
+  }
+}
+
+// Follow-up pages re-run the stored SQL with a rewritten LIMIT/OFFSET, so cursors are only issued for
+// queries with an outer ORDER BY. A cursor is a random token; the pagination it belongs to and the
+// offset it fetches are stored server-side, so clients can't pick their own offset.
+class PaginationService {
+  constructor({ validator, store, ttlMs } = {}) {
+    this.validator = validator;
+    this.store = store || new MemoryStore({ maxEntries: 10000 });
+    this.ttlMs = ttlMs || parseInt(process.env.CURSOR_TTL_MS, 10) || 60 * 60 * 1000;
+  }
+
+  async issueCursor(id, offset) {
+    const cursor = `pc_${crypto.randomBytes(16).toString('hex')}`;
+    await this.store.set(`pagination-cursor:${cursor}`, { id, offset }, this.ttlMs);
+    return cursor;
+  }
+
+  // Called with the first page's result; returns pagination metadata for the response
+  async start({ sql, tables, limit, rowCount, endpoint }) {
+    const pageSize = limit.applied;
+    const end = limit.requested === null ? null : limit.offset + limit.requested;
+    const nextOffset = limit.offset + rowCount;
+
+    if (!this.hasMore({ pageSize, end }, rowCount, nextOffset)) {
+      return { pageSize, hasMore: false, nextCursor: null };
+    }
+    // Each page is a separate run, so without an ORDER BY its rows could overlap or miss the previous page's
+    if (!this.validator.isOrdered(sql)) {
+      return { pageSize, hasMore: true, nextCursor: null, reason: 'Add an ORDER BY to page through more rows' };
+    }
+
+    const record = {
+      id: `pg_${crypto.randomBytes(12).toString('hex')}`,
+      sql,
+      tables,
+      pageSize,
+      end,
+      endpoint,
+      createdAt: new Date().toISOString()
+    };
+    await this.store.set(`pagination:${record.id}`, record, this.ttlMs);
+
+    return this.describe(record, await this.issueCursor(record.id, nextOffset));
+  }
+
+  async resolve(cursor) {
+    const entry = /^pc_[a-f0-9]{32}$/.test(String(cursor)) ? await this.store.get(`pagination-cursor:${cursor}`) : null;
+    const record = entry ? await this.store.get(`pagination:${entry.id}`) : null;
+    if (!record) {
+      throw new CursorError('Cursor not found or expired');
+    }
+    if (record.end !== null && entry.offset >= record.end) {
+      throw new CursorError('Cursor is past the end of the result');
+    }
+    return { record, offset: entry.offset };
+  }
+
+  pageSQL(record, offset) {
+    const limit = record.end === null ? record.pageSize : Math.min(record.pageSize, record.end - offset);
+    return this.validator.paginate(record.sql, { limit, offset });
+  }
+
+  async next(record, offset, rowCount) {
+    const nextOffset = offset + rowCount;
+    if (!this.hasMore(record, rowCount, nextOffset)) {
+      return { pageSize: record.pageSize, offset, hasMore: false, nextCursor: null };
+    }
+
+    // Each page keeps the pagination alive for another TTL
+    await this.store.set(`pagination:${record.id}`, record, this.ttlMs);
+    return { ...this.describe(record, await this.issueCursor(record.id, nextOffset)), offset };
+  }
+
+  // A short page means the result set is exhausted
+  hasMore({ pageSize, end }, rowCount, nextOffset) {
+    return rowCount >= pageSize && (end === null || nextOffset < end);
+  }
+
+  describe(record, nextCursor) {
+    return {
+      pageSize: record.pageSize,
+      hasMore: true,
+      nextCursor,
+      nextUrl: `/api/query/next?cursor=${nextCursor}`
+    };
+  }
+}
+
+module.exports = { PaginationService, CursorError };
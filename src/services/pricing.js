@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MemoryStore } = require('./cache');
+const { ClientError } = require('./errors');
+const { SQLValidator } = require('./sql-validator');
+
+const DEFAULT_PRICING_PATH = path.join(__dirname, '..', 'config', 'pricing.json');
+
+const UNIT_DAYS = {
+  second: 1 / 86400,
+  minute: 1 / 1440,
+  hour: 1 / 24,
+  day: 1,
+  week: 7,
+  month: 31,
+  year: 366
+};
+
+const INTERVAL_PART_PATTERN = /(\d+(?:\.\d+)?)\s*(second|minute|hour|day|week|month|year)s?\b/gi;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}\b/;
+const TIME_COLUMN = 'block_timestamp';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ROW_LIMIT = 1000;
+
+// The same comparison with its operands swapped: `x < block_timestamp` is `block_timestamp > x`
+const FLIPPED_OPERATORS = { '>': '<', '>=': '<=', '<': '>', '<=': '>=', '=': '=' };
+
+const columnName = node => {
+  const column = typeof node.column === 'string' ? node.column : node.column && node.column.expr && node.column.expr.value;
+  return typeof column === 'string' ? column.toLowerCase() : null;
+};
+
+const isTimeColumn = node => Boolean(node) && node.type === 'column_ref' && columnName(node) === TIME_COLUMN;
+
+// '1 day 12 hours' -> 1.5; null when the text has no recognisable unit
+const intervalDays = (value, unit) => {
+  const text = unit ? `${value} ${unit}` : String(value);
+  const parts = Array.from(text.matchAll(INTERVAL_PART_PATTERN));
+  if (parts.length === 0) return null;
+  return parts.reduce((sum, match) => sum + parseFloat(match[1]) * UNIT_DAYS[match[2].toLowerCase()], 0);
+};
+
+// Top-level conditions of a WHERE clause: `a AND (b AND c)` -> [a, b, c]. An OR is one condition.
+const conjuncts = expr => (expr && expr.type === 'binary_expr' && String(expr.operator).toUpperCase() === 'AND'
+  ? [...conjuncts(expr.left), ...conjuncts(expr.right)]
+  : [expr]);
+
+// Zone-less literals are UTC, like block_timestamp
+const literalTime = value => {
+  const text = value.length === 10 ? `${value}T00:00:00` : value.replace(' ', 'T');
+  return Date.parse(/(z|[+-]\d{2}(:?\d{2})?)$/i.test(text) ? text : `${text}Z`);
+};
+
+const isIntervalCast = node => node.type === 'cast' &&
+  (node.target || []).some(target => String(target.dataType).toLowerCase() === 'interval');
+
+class QuoteError extends ClientError {
+  constructor(message) {
+    super('quote_invalid', message);
+  }
+}
+
+class PricingService {
+  constructor(options = {}) {
+    this.configPath = options.configPath || process.env.PRICING_CONFIG_PATH || DEFAULT_PRICING_PATH;
+    this.store = options.store || new MemoryStore({ maxEntries: 10000 });
+    this.validator = options.validator || new SQLValidator();
+    this.loadConfig();
+  }
+
+  // X402_PRICE_USDC / X402_SQL_PRICE_USDC still override the base price per endpoint
+  loadConfig() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    const envBase = {
+      query: parseFloat(process.env.X402_PRICE_USDC),
+      sql: parseFloat(process.env.X402_SQL_PRICE_USDC)
+    };
+
+    this.config = {
+      ...config,
+      base: {
+        ...config.base,
+        ...(Number.isFinite(envBase.query) ? { query: envBase.query } : {}),
+        ...(Number.isFinite(envBase.sql) ? { sql: envBase.sql } : {})
+      },
+      tables: Object.fromEntries(Object.entries(config.tables || {}).map(([name, price]) => [name.toLowerCase(), price]))
+    };
+  }
+
+  parse(sql) {
+    try {
+      return this.validator.parse(sql);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Days of history the query scans, or null when it is unbounded or has no time bound we can recognise.
+  // Every SELECT that reads a table must bound block_timestamp from below with a condition AND-ed at
+  // the top level of its WHERE; the widest of those windows is the query's.
+  estimateTimeWindowDays(sql) {
+    const statement = this.parse(sql);
+    if (!statement) return null;
+
+    const cteNames = this.validator.collectCTENames(statement);
+    const now = Date.now();
+    let widest = null;
+    let unbounded = false;
+
+    this.validator.walk(statement, node => {
+      if (node.type !== 'select' || !Array.isArray(node.from)) return;
+      const readsTable = node.from.some(source => typeof source.table === 'string' &&
+        (source.db || !cteNames.has(source.table.toLowerCase())));
+      if (!readsTable) return;
+
+      const days = this.windowDays(node.where, now);
+      if (days === null) {
+        unbounded = true;
+      } else {
+        widest = Math.max(widest || 0, days);
+      }
+    });
+
+    return unbounded ? null : widest;
+  }
+
+  // Span between the lower bound on block_timestamp (required) and the upper bound (default now)
+  windowDays(where, now) {
+    let lower = null;
+    let upper = now;
+    const bound = (operator, expr) => {
+      const time = this.boundTime(expr, now);
+      if (time === null) return;
+      if (['>', '>=', '='].includes(operator)) lower = lower === null ? time : Math.max(lower, time);
+      if (['<', '<=', '='].includes(operator)) upper = Math.min(upper, time);
+    };
+
+    for (const condition of conjuncts(where)) {
+      if (!condition || condition.type !== 'binary_expr') continue;
+      const operator = String(condition.operator).toUpperCase();
+
+      if (operator === 'BETWEEN' && isTimeColumn(condition.left)) {
+        const [from, to] = condition.right.value || [];
+        bound('>=', from);
+        bound('<=', to);
+      } else if (isTimeColumn(condition.left)) {
+        bound(operator, condition.right);
+      } else if (isTimeColumn(condition.right)) {
+        bound(FLIPPED_OPERATORS[operator], condition.left);
+      }
+    }
+
+    return lower === null ? null : Math.max(upper - lower, 0) / DAY_MS;
+  }
+
+  // The point in time an expression compared with block_timestamp stands for: a date or timestamp
+  // literal, or (for NOW() - INTERVAL ...) now minus the interval. null for anything else.
+  boundTime(expr, now) {
+    let date = null;
+    let interval = null;
+    this.validator.walk(expr, node => {
+      if (['single_quote_string', 'date', 'timestamp'].includes(node.type) && DATE_PATTERN.test(node.value)) {
+        date = date === null ? literalTime(node.value) : date;
+      } else if (node.type === 'interval' && node.expr) {
+        interval = intervalDays(node.expr.value, node.unit);
+      } else if (isIntervalCast(node) && node.expr && node.expr.type === 'single_quote_string') {
+        interval = intervalDays(node.expr.value);
+      }
+    });
+
+    if (date !== null && Number.isFinite(date)) return date;
+    if (interval !== null) return now - interval * DAY_MS;
+    return null;
+  }
+
+  // The outer LIMIT, which validation has already made a numeric literal
+  estimateRowLimit(sql) {
+    const statement = this.parse(sql);
+    const limit = statement ? this.validator.limitTarget(statement).limit : null;
+    const values = (limit && limit.value) || [];
+    const limitNode = limit && limit.seperator === ',' ? values[1] : values[0];
+    return limitNode && limitNode.type === 'number' ? Number(limitNode.value) : DEFAULT_ROW_LIMIT;
+  }
+
+  // Subscriptions pay for all their runs up front: the per-run price times `runs`
+  estimate({ endpoint, sql, tables = [], usesLLM = false, answer = false, runs = 1 }) {
+    const config = this.config;
+    const base = config.base[endpoint] !== undefined ? config.base[endpoint] : config.base.query;
+    const llm = usesLLM ? config.llm : 0;
+    const answerCharge = answer ? config.answer || 0 : 0;
+    const tableCharges = Object.fromEntries(tables.map(table => [
+      table,
+      config.tables[table] !== undefined ? config.tables[table] : config.defaultTable
+    ]));
+    const tableTotal = Object.values(tableCharges).reduce((sum, value) => sum + value, 0);
+
+    const days = this.estimateTimeWindowDays(sql);
+    const tier = config.timeWindows.find(window => window.maxDays === null || (days !== null && days <= window.maxDays));
+    const multiplier = tier ? tier.multiplier : 1;
+
+    const rowLimit = this.estimateRowLimit(sql);
+    const rowCharge = (rowLimit / 1000) * config.perThousandRows;
+
+    const raw = (base + llm + tableTotal) * multiplier + rowCharge + answerCharge;
+    const price = Math.min(Math.max(raw, config.minimum), config.maximum) * runs;
+
+    return {
+      price: Math.round(price * 1e6) / 1e6,
+      currency: config.currency,
+      breakdown: {
+        base,
+        llm,
+        tables: tableCharges,
+        timeWindow: { days: days === null ? null : Math.round(days * 100) / 100, multiplier },
+        rows: { limit: rowLimit, charge: rowCharge },
+        answer: answerCharge,
+        runs
+      }
+    };
+  }
+
+  // `price` fixes the amount instead of estimating it from the SQL (credit top-ups)
+  async createQuote({ endpoint, fingerprint, sql = null, tables = [], limit = null, usesLLM, answer, runs, price, request = {}, ttlMs }) {
+    const estimate = price !== undefined
+      ? { price, currency: this.config.currency, breakdown: { fixed: price } }
+      : this.estimate({ endpoint, sql, tables, usesLLM, answer, runs });
+    ttlMs = ttlMs || (this.config.quoteTtlSeconds || 300) * 1000;
+    const quote = {
+      id: `q_${crypto.randomBytes(12).toString('hex')}`,
+      endpoint,
+      fingerprint,
+      sql,
+      tables,
+      limit,
+      request,
+      ...estimate,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttlMs).toISOString()
+    };
+
+    await this.store.set(`quote:${quote.id}`, quote, ttlMs);
+    if (fingerprint) {
+      await this.store.set(`quote-fingerprint:${endpoint}:${fingerprint}`, quote.id, ttlMs);
+    }
+    return quote;
+  }
+
+  async getQuote(id) {
+    return (await this.store.get(`quote:${id}`)) || null;
+  }
+
+  // Lets clients that replay the same request after a 402 (e.g. x402-axios) land on the same quote
+  async findQuote(endpoint, fingerprint) {
+    const id = await this.store.get(`quote-fingerprint:${endpoint}:${fingerprint}`);
+    return id ? this.getQuote(id) : null;
+  }
+
+  async resolveQuote({ endpoint, quoteId, fingerprint, build }) {
+    if (quoteId) {
+      const quote = await this.getQuote(quoteId);
+      if (!quote) {
+        throw new QuoteError(`Quote ${quoteId} not found or expired`);
+      }
+      if (quote.endpoint !== endpoint) {
+        throw new QuoteError(`Quote ${quoteId} was issued for /api/${quote.endpoint}, not /api/${endpoint}`);
+      }
+      if (fingerprint && quote.fingerprint && quote.fingerprint !== fingerprint) {
+        throw new QuoteError(`Quote ${quoteId} does not match this request`);
+      }
+      return quote;
+    }
+
+    const existing = fingerprint ? await this.findQuote(endpoint, fingerprint) : null;
+    if (existing) {
+      return existing;
+    }
+
+    return this.createQuote({ endpoint, fingerprint, ...(await build()) });
+  }
+
+  fingerprint(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  toJSON() {
+    return this.config;
+  }
+}
+
+module.exports = { PricingService, QuoteError };
@@ -0,0 +1,152 @@
+const { InvalidSQLError, ServiceError } = require('./errors');
+const { SQLValidationError } = require('./sql-validator');
+
+// Our LLM's correction was unusable or reached beyond what was paid for; the failure is ours
+class CorrectionError extends ServiceError {
+  constructor(message, reasons = null) {
+    super('sql_correction_failed', message);
+    this.reasons = reasons;
+  }
+
+  details() {
+    return this.reasons ? { reasons: this.reasons } : {};
+  }
+}
+
+// Shared question → SQL → rows flow used by every query-style endpoint
+class QueryPipeline {
+  constructor({ llmService, cdpService, cache, pricing, maxAttempts }) {
+    this.llmService = llmService;
+    this.cdpService = cdpService;
+    this.cache = cache;
+    this.pricing = pricing;
+    this.maxAttempts = maxAttempts || parseInt(process.env.SQL_CORRECTION_MAX_ATTEMPTS, 10) || 3;
+  }
+
+  // Follow-ups depend on the conversation, so only standalone questions use the SQL cache
+  async generateSQL(question, { history = [] } = {}) {
+    const cacheable = history.length === 0;
+    const cached = cacheable ? await this.cache.getSQL(question) : undefined;
+    if (cached) {
+      return { sql: cached, cacheHit: true };
+    }
+
+    const sql = await this.llmService.generateSQL(question, { history });
+    if (cacheable) {
+      await this.cache.setSQL(question, sql);
+    }
+    return { sql, cacheHit: false };
+  }
+
+  validateSQL(sql) {
+    return this.llmService.validateSQL(sql);
+  }
+
+  async execute(sql, options = {}) {
+    let response = await this.cache.getResult(sql);
+    const cacheHit = !!response;
+    if (!cacheHit) {
+      response = await this.cdpService.executeQuery(sql, options);
+      await this.cache.setResult(sql, response);
+    }
+
+    return {
+      result: response.result,
+      metadata: {
+        ...response.metadata,
+        cached: cacheHit || !!response.metadata.cached,
+        cache: {
+          result: cacheHit ? 'hit' : 'miss',
+          upstream: response.metadata.cached ? 'hit' : 'miss'
+        }
+      }
+    };
+  }
+
+  // When CDP rejects generated SQL, the error goes back to the LLM and the corrected query is
+  // re-validated, checked against what was paid for and retried. Every attempt is recorded,
+  // including on the error when all fail.
+  async executeWithCorrection({ question, history = [], sql, generatedSQL, tables, limit, endpoint }, options = {}) {
+    const attempts = [];
+    let current = { sql, tables, limit, raw: null };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const execution = await this.execute(current.sql, options);
+        attempts.push({ attempt, sql: current.sql, status: 'succeeded' });
+
+        // Later askers of the same question get the query that actually worked
+        if (current.raw && history.length === 0) {
+          await this.cache.setSQL(question, current.raw);
+        }
+
+        return {
+          query: {
+            sql: current.sql,
+            generatedSQL: current.raw || generatedSQL || current.sql,
+            tables: current.tables,
+            limit: current.limit
+          },
+          result: execution.result,
+          metadata: { ...execution.metadata, attempts }
+        };
+      } catch (error) {
+        attempts.push({ attempt, sql: current.sql, status: 'failed', error: error.message });
+        if (!question || !this.isCorrectable(error) || attempt >= this.maxAttempts) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        try {
+          current = await this.correctSQL(question, current.sql, error.message, { history });
+          this.checkCorrection(current, { endpoint, sql, tables });
+        } catch (correctionError) {
+          correctionError.attempts = attempts;
+          throw correctionError;
+        }
+
+        console.log(`Retrying with corrected SQL (attempt ${attempt + 1}/${this.maxAttempts}): ${current.sql}`);
+        if (options.onCorrection) {
+          options.onCorrection({ attempt: attempt + 1, error: error.message, sql: current.sql });
+        }
+      }
+    }
+  }
+
+  async correctSQL(question, failedSQL, errorMessage, options = {}) {
+    const raw = await this.llmService.correctSQL(question, failedSQL, errorMessage, options);
+    let validated;
+    try {
+      validated = this.validateSQL(raw);
+    } catch (error) {
+      if (error instanceof SQLValidationError) {
+        throw new CorrectionError(`Corrected SQL failed validation: ${error.reasons.map(reason => reason.message).join('; ')}`, error.reasons);
+      }
+      throw error;
+    }
+    return { sql: validated.sql, tables: validated.tables, limit: validated.limit, raw };
+  }
+
+  // The paid quote covers the original SQL: a correction may not read other tables or price higher
+  checkCorrection(corrected, paid) {
+    const paidTables = paid.tables || [];
+    const extraTables = corrected.tables.filter(table => !paidTables.includes(table));
+    if (extraTables.length > 0) {
+      throw new CorrectionError(`Corrected SQL reads ${extraTables.join(', ')}, which the quote does not cover`);
+    }
+
+    if (this.pricing && paid.endpoint) {
+      const price = query => this.pricing.estimate({ endpoint: paid.endpoint, sql: query.sql, tables: query.tables || [] }).price;
+      if (price(corrected) > price(paid)) {
+        throw new CorrectionError('Corrected SQL scans more than the quote covers');
+      }
+    }
+  }
+
+  // Only CDP rejecting the SQL itself (HTTP 400) is worth another try; auth, rate limit and outages are not
+  isCorrectable(error) {
+    return error instanceof InvalidSQLError;
+  }
+}
+
+module.exports = QueryPipeline;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(process.cwd(), 'data');
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Audit ledger of paid requests. A receipt is opened once payment is accepted, so its ID can go in
+// the response, and closed when the response finishes with the outcome, settlement and timing.
+// Both events are appended to receipts.jsonl as one JSON line each and replayed on startup, so a
+// request costs two small appends however many receipts exist. Receipts older than the retention
+// period are dropped hourly, which is the only time the file is rewritten.
+class ReceiptService {
+  constructor({ dataDir, retentionMs } = {}) {
+    this.dataDir = dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    this.filePath = path.join(this.dataDir, 'receipts.jsonl');
+    this.retentionMs = retentionMs || (parseInt(process.env.RECEIPT_RETENTION_DAYS, 10) || 365) * 24 * 60 * 60 * 1000;
+    this.receipts = new Map();
+
+    this.load();
+    this.pruneExpired();
+    this.pruneTimer = setInterval(() => this.pruneExpired(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  load() {
+    let contents;
+    try {
+      contents = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load ${this.filePath}, starting empty:`, error.message);
+      }
+      return;
+    }
+
+    for (const line of contents.split('\n')) {
+      if (!line) continue;
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        console.error(`Skipping unreadable line in ${this.filePath}:`, error.message);
+      }
+    }
+
+    // A crash mid-append leaves a partial last line; terminate it so the next event starts cleanly
+    if (contents && !contents.endsWith('\n')) {
+      fs.appendFileSync(this.filePath, '\n');
+    }
+  }
+
+  apply(event) {
+    if (event.type === 'open') {
+      this.receipts.set(event.receipt.id, event.receipt);
+    } else if (event.type === 'close' && this.receipts.has(event.id)) {
+      this.receipts.set(event.id, { ...this.receipts.get(event.id), ...event.changes });
+    }
+  }
+
+  append(event) {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(event)}\n`);
+    this.apply(event);
+  }
+
+  open({ quote, payment }) {
+    const receipt = {
+      id: `rcpt_${crypto.randomBytes(12).toString('hex')}`,
+      endpoint: quote.endpoint,
+      quoteId: quote.id,
+      amount: quote.price,
+      currency: quote.currency,
+      method: payment.method,
+      payer: payment.payer || null,
+      network: payment.network || null,
+      transaction: null,
+      question: quote.request.query || null,
+      sql: quote.sql,
+      jobId: null,
+      outcome: 'pending',
+      statusCode: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      durationMs: null
+    };
+
+    this.append({ type: 'open', receipt });
+    return receipt;
+  }
+
+  // `changes` lets the handler record what actually ran (corrected SQL, a job ID, the error)
+  close(id, { statusCode, aborted, settlement, changes = {} }) {
+    const receipt = this.receipts.get(id);
+    if (!receipt) return null;
+
+    const failed = Boolean(changes.error) || statusCode >= 400;
+    this.append({
+      type: 'close',
+      id,
+      changes: {
+        ...changes,
+        outcome: failed ? 'failed' : aborted ? 'aborted' : changes.jobId ? 'queued' : 'succeeded',
+        statusCode,
+        payer: receipt.payer || (settlement && settlement.payer) || null,
+        network: (settlement && settlement.network) || receipt.network,
+        transaction: settlement ? settlement.transaction : null,
+        completedAt: new Date().toISOString(),
+        durationMs: Date.now() - Date.parse(receipt.createdAt)
+      }
+    });
+    return this.receipts.get(id);
+  }
+
+  get(id) {
+    return this.receipts.get(id) || null;
+  }
+
+  // Rewrites the ledger with one event per remaining receipt, via a temp file + rename
+  pruneExpired() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+    for (const [id, receipt] of this.receipts) {
+      if (Date.parse(receipt.completedAt || receipt.createdAt) < cutoff) {
+        this.receipts.delete(id);
+        removed++;
+      }
+    }
+    if (removed === 0) return;
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const lines = Array.from(this.receipts.values(), receipt => `${JSON.stringify({ type: 'open', receipt })}\n`);
+    fs.writeFileSync(tmpPath, lines.join(''));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = ReceiptService;
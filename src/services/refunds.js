@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const JsonStore = require('./json-store');
+const { ClientError, isServiceError } = require('./errors');
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+class RefundError extends ClientError {
+  constructor(message) {
+    super('refund_token_invalid', message);
+  }
+}
+
+// Single-use tokens issued when a paid request fails on our side. A token pays for one later
+// request priced at or below the amount originally paid; redemption is recorded so it can't be reused.
+class RefundService {
+  constructor({ store, ttlMs } = {}) {
+    this.store = store || new JsonStore('refund-tokens');
+    this.ttlMs = ttlMs || (parseInt(process.env.REFUND_TOKEN_TTL_HOURS, 10) || 72) * 60 * 60 * 1000;
+
+    this.pruneExpired();
+    this.pruneTimer = setInterval(() => this.pruneExpired(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  // ClientErrors (validation, quotes, SQL that CDP rejected, ...) are the client's; everything else
+  // (missing config, upstream auth or quota, 5xx, timeouts, network, bugs) is ours
+  isServiceFailure(error) {
+    return isServiceError(error);
+  }
+
+  // Returns null for client failures and for requests that cost nothing
+  issueFor(error, { endpoint, quoteId, amount, currency }) {
+    if (!amount || !this.isServiceFailure(error)) {
+      return null;
+    }
+
+    const now = Date.now();
+    const refund = {
+      token: `rf_${crypto.randomBytes(24).toString('hex')}`,
+      status: 'issued',
+      amount,
+      currency,
+      endpoint,
+      quoteId,
+      reason: error.message,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      redeemedAt: null,
+      redeemedQuoteId: null
+    };
+
+    this.store.set(refund.token, refund);
+    console.log(`Issued refund token for quote ${quoteId} (${amount} ${currency}): ${error.message}`);
+    return this.describe(refund);
+  }
+
+  redeem(token, quote) {
+    const refund = this.store.get(token);
+    if (!refund) {
+      throw new RefundError('Refund token not found');
+    }
+    if (refund.status === 'redeemed') {
+      throw new RefundError(`Refund token was already redeemed at ${refund.redeemedAt}`);
+    }
+    if (Date.parse(refund.expiresAt) <= Date.now()) {
+      throw new RefundError('Refund token has expired');
+    }
+    if (quote.price > refund.amount) {
+      throw new RefundError(`Refund token covers up to ${refund.amount} ${refund.currency}; this request costs ${quote.price} ${quote.currency}`);
+    }
+
+    return this.describe(this.store.update(token, {
+      status: 'redeemed',
+      redeemedAt: new Date().toISOString(),
+      redeemedQuoteId: quote.id
+    }));
+  }
+
+  describe(refund) {
+    return {
+      token: refund.token,
+      status: refund.status,
+      amount: refund.amount,
+      currency: refund.currency,
+      expiresAt: refund.expiresAt
+    };
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    this.store.deleteWhere(refund => Date.parse(refund.expiresAt) <= now);
+  }
+}
+
+module.exports = { RefundService, RefundError };
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const JsonStore = require('./json-store');
+const { ClientError } = require('./errors');
+
+class SavedQueryError extends ClientError {
+  constructor(message) {
+    super('saved_query_invalid', message);
+  }
+}
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/i;
+const INTERVAL_PATTERN = /^(\d+)\s*(minute|hour|day|week|month|year)s?$/i;
+const NAME_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+
+// Well-known Base token contracts accepted by symbol for `token` parameters
+const TOKEN_SYMBOLS = {
+  USDC: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+  WETH: '0x4200000000000000000000000000000000000006'
+};
+
+// Each type checks and normalizes a raw value, returning a number or a string to bind as a literal
+const PARAMETER_TYPES = {
+  address: value => {
+    if (typeof value !== 'string' || !ADDRESS_PATTERN.test(value)) throw new Error('must be a 0x-prefixed 20-byte hex address');
+    return value.toLowerCase();
+  },
+  token: value => {
+    if (typeof value === 'string' && TOKEN_SYMBOLS[value.toUpperCase()]) return TOKEN_SYMBOLS[value.toUpperCase()];
+    if (typeof value !== 'string' || !ADDRESS_PATTERN.test(value)) {
+      throw new Error(`must be a token contract address or one of ${Object.keys(TOKEN_SYMBOLS).join(', ')}`);
+    }
+    return value.toLowerCase();
+  },
+  timestamp: value => {
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (!Number.isFinite(time)) throw new Error('must be an ISO 8601 date or timestamp');
+    return new Date(time).toISOString().replace('T', ' ').replace('Z', '');
+  },
+  interval: value => {
+    const match = typeof value === 'string' ? value.trim().match(INTERVAL_PATTERN) : null;
+    if (!match) throw new Error('must look like "24 hours" or "7 days"');
+    return `${match[1]} ${match[2].toLowerCase()}${match[1] === '1' ? '' : 's'}`;
+  },
+  integer: value => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isSafeInteger(number)) throw new Error('must be an integer');
+    return number;
+  },
+  number: value => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) throw new Error('must be a number');
+    return number;
+  },
+  string: value => {
+    if (typeof value !== 'string' || value.length > 200) throw new Error('must be a string of at most 200 characters');
+    if (/[\\\u0000-\u001f]/.test(value)) throw new Error('must not contain backslashes or control characters');
+    return value;
+  }
+};
+
+// Stand-in values used to check that a definition produces valid SQL before it is saved
+const SAMPLE_VALUES = {
+  address: '0x0000000000000000000000000000000000000000',
+  token: 'USDC',
+  timestamp: '2024-01-01T00:00:00Z',
+  interval: '1 day',
+  integer: 1,
+  number: 1,
+  string: 'sample'
+};
+
+// Named SQL with typed :placeholders. Running one binds the values into the parsed query and skips the LLM.
+// Each query has an owner: the API-key account that saved it, or whoever holds the management key
+// returned (once) when it was saved without an API key.
+class SavedQueryService {
+  constructor({ validator, store } = {}) {
+    this.validator = validator;
+    this.store = store || new JsonStore('saved-queries');
+  }
+
+  hashKey(managementKey) {
+    return crypto.createHash('sha256').update(managementKey).digest('hex');
+  }
+
+  // Only account-owned queries can be listed; key-owned ones are reached by ID and key
+  list(accountId) {
+    return this.store.values()
+      .filter(savedQuery => accountId && savedQuery.ownerAccountId === accountId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(savedQuery => this.describe(savedQuery));
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  // Someone else's query looks exactly like a missing one
+  getOwned(id, { accountId, managementKey } = {}) {
+    const savedQuery = this.get(id);
+    if (!savedQuery) return null;
+
+    const ownsByAccount = Boolean(accountId) && savedQuery.ownerAccountId === accountId;
+    const ownsByKey = Boolean(managementKey) && Boolean(savedQuery.managementKeyHash) && savedQuery.managementKeyHash === this.hashKey(managementKey);
+    return ownsByAccount || ownsByKey ? savedQuery : null;
+  }
+
+  create(definition, { accountId } = {}) {
+    const id = `sq_${crypto.randomBytes(12).toString('hex')}`;
+    const managementKey = accountId ? null : `sqk_${crypto.randomBytes(24).toString('hex')}`;
+    const now = new Date().toISOString();
+    const savedQuery = this.store.set(id, {
+      id,
+      ...this.normalize(definition),
+      ownerAccountId: accountId || null,
+      managementKeyHash: managementKey ? this.hashKey(managementKey) : null,
+      createdAt: now,
+      updatedAt: now
+    });
+    return managementKey ? { ...this.describe(savedQuery), managementKey } : this.describe(savedQuery);
+  }
+
+  update(id, changes) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const { name, description, sql, parameters } = { ...current, ...changes };
+    return this.describe(this.store.update(id, {
+      ...this.normalize({ name, description, sql, parameters }),
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  delete(id) {
+    return this.store.delete(id);
+  }
+
+  describe(savedQuery) {
+    const { managementKeyHash, ...rest } = savedQuery;
+    return rest;
+  }
+
+  // Returns the validator's result for the bound SQL along with the normalized values
+  bind(savedQuery, values = {}) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new SavedQueryError('parameters must be an object');
+    }
+
+    const unknown = Object.keys(values).filter(name => !savedQuery.parameters.some(parameter => parameter.name === name));
+    if (unknown.length > 0) {
+      throw new SavedQueryError(`Unknown parameter(s): ${unknown.join(', ')}`);
+    }
+
+    const bound = {};
+    for (const parameter of savedQuery.parameters) {
+      const value = values[parameter.name] !== undefined ? values[parameter.name] : parameter.default;
+      if (value === undefined || value === null) {
+        throw new SavedQueryError(`Parameter ${parameter.name} is required`);
+      }
+      bound[parameter.name] = this.coerce(parameter, value);
+    }
+
+    return {
+      ...this.validator.validate(this.validator.bindParameters(savedQuery.sql, bound)),
+      parameters: bound
+    };
+  }
+
+  coerce(parameter, value) {
+    try {
+      return PARAMETER_TYPES[parameter.type](value);
+    } catch (error) {
+      throw new SavedQueryError(`Parameter ${parameter.name} ${error.message}`);
+    }
+  }
+
+  // Checks the definition and that its SQL validates with sample values, so bad SQL is caught at save time
+  normalize({ name, description, sql, parameters = [] }) {
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      throw new SavedQueryError('name is required and must be a string of at most 100 characters');
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      throw new SavedQueryError('description must be a string');
+    }
+    if (!sql || typeof sql !== 'string' || sql.length > 10000) {
+      throw new SavedQueryError('sql is required and must be a string of at most 10000 characters');
+    }
+    if (!Array.isArray(parameters)) {
+      throw new SavedQueryError('parameters must be an array');
+    }
+
+    const normalized = parameters.map(parameter => {
+      if (!parameter || typeof parameter.name !== 'string' || !NAME_PATTERN.test(parameter.name)) {
+        throw new SavedQueryError('Each parameter needs a name made of letters, digits and underscores');
+      }
+      if (!PARAMETER_TYPES[parameter.type]) {
+        throw new SavedQueryError(`Parameter ${parameter.name} has unknown type ${parameter.type}; use one of ${Object.keys(PARAMETER_TYPES).join(', ')}`);
+      }
+      // Defaults are stored as given and coerced on each run, like any other value
+      if (parameter.default !== undefined && parameter.default !== null) {
+        this.coerce(parameter, parameter.default);
+      }
+      return {
+        name: parameter.name,
+        type: parameter.type,
+        description: typeof parameter.description === 'string' ? parameter.description : null,
+        ...(parameter.default !== undefined && parameter.default !== null ? { default: parameter.default } : {})
+      };
+    });
+
+    const declared = normalized.map(parameter => parameter.name);
+    const placeholders = this.validator.parameterNames(sql);
+    const undeclared = placeholders.filter(placeholder => !declared.includes(placeholder));
+    const unused = declared.filter(parameter => !placeholders.includes(parameter));
+    if (undeclared.length > 0) {
+      throw new SavedQueryError(`Placeholder(s) without a parameter definition: ${undeclared.map(p => `:${p}`).join(', ')}`);
+    }
+    if (unused.length > 0) {
+      throw new SavedQueryError(`Parameter(s) not used in the SQL: ${unused.join(', ')}`);
+    }
+    if (new Set(declared).size !== declared.length) {
+      throw new SavedQueryError('Parameter names must be unique');
+    }
+
+    const samples = Object.fromEntries(normalized.map(parameter => [
+      parameter.name,
+      this.coerce(parameter, parameter.default !== undefined ? parameter.default : SAMPLE_VALUES[parameter.type])
+    ]));
+    const validated = this.validator.validate(this.validator.bindParameters(sql, samples));
+
+    return {
+      name,
+      description: description || null,
+      sql: sql.trim().replace(/;\s*$/, ''),
+      parameters: normalized,
+      tables: validated.tables
+    };
+  }
+}
+
+module.exports = { SavedQueryService, SavedQueryError };
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const JsonStore = require('./json-store');
+const { ClientError } = require('./errors');
+
+class SubscriptionError extends ClientError {
+  constructor(message) {
+    super('subscription_invalid', message);
+  }
+}
+
+const INTERVAL_PATTERN = /^(\d+)\s*(minute|hour|day)s?$/i;
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+const MAX_ALERT_ROWS = 100;
+
+const comparable = value => (typeof value === 'number' || (typeof value === 'string' && DECIMAL_PATTERN.test(value)) ? Number(value) : value);
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Runs paid-for SQL on an interval and sends a signed webhook when the condition matches rows that
+// were not part of the previous run's matches, so a condition that stays true alerts once.
+class SchedulerService {
+  constructor({ cdpService, validator, savedQueries, webhooks, store, tickMs } = {}) {
+    this.cdpService = cdpService;
+    this.validator = validator;
+    this.savedQueries = savedQueries;
+    this.webhooks = webhooks;
+    this.store = store || new JsonStore('subscriptions');
+    this.tickMs = tickMs || parseInt(process.env.SCHEDULER_TICK_MS, 10) || 15 * 1000;
+    this.minIntervalMs = (parseInt(process.env.SUBSCRIPTION_MIN_INTERVAL_MINUTES, 10) || 1) * UNIT_MS.minute;
+    this.maxDurationMs = (parseInt(process.env.SUBSCRIPTION_MAX_DURATION_DAYS, 10) || 30) * UNIT_MS.day;
+    this.queryTimeoutMs = parseInt(process.env.SUBSCRIPTION_QUERY_TIMEOUT_MS, 10) || 60 * 1000;
+    this.ticking = false;
+  }
+
+  start() {
+    this.webhooks.resume(id => {
+      const subscription = this.store.get(id);
+      return subscription ? subscription.secret : null;
+    });
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref();
+  }
+
+  // Validates a subscription request into the definition that is priced and later stored
+  // `owner` ({ accountId, managementKey }) must own the saved query when one is scheduled
+  async prepare(body, owner = {}) {
+    const { name, sql, savedQueryId, parameters, interval, durationHours = 24, condition, webhookUrl } = body;
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+      throw new SubscriptionError('name must be a string of at most 100 characters');
+    }
+    if (!webhookUrl || typeof webhookUrl !== 'string') {
+      throw new SubscriptionError('webhookUrl is required');
+    }
+    await this.webhooks.checkUrl(webhookUrl);
+
+    const match = typeof interval === 'string' ? interval.trim().match(INTERVAL_PATTERN) : null;
+    const intervalMs = match ? parseInt(match[1], 10) * UNIT_MS[match[2].toLowerCase()] : NaN;
+    if (!(intervalMs >= this.minIntervalMs)) {
+      throw new SubscriptionError(`interval must look like "5 minutes" or "1 hour" and be at least ${this.minIntervalMs / UNIT_MS.minute} minute(s)`);
+    }
+
+    const durationMs = Number(durationHours) * UNIT_MS.hour;
+    if (!Number.isFinite(durationMs) || durationMs < intervalMs || durationMs > this.maxDurationMs) {
+      throw new SubscriptionError(`durationHours must cover at least one interval and at most ${this.maxDurationMs / UNIT_MS.hour} hours`);
+    }
+
+    let query;
+    if (savedQueryId !== undefined) {
+      const savedQuery = this.savedQueries.getOwned(savedQueryId, owner);
+      if (!savedQuery) {
+        throw new SubscriptionError(`Saved query ${savedQueryId} not found`);
+      }
+      query = this.savedQueries.bind(savedQuery, parameters);
+    } else if (typeof sql === 'string' && sql.trim()) {
+      query = this.validator.validate(sql);
+    } else {
+      throw new SubscriptionError('Either sql or savedQueryId is required');
+    }
+
+    return {
+      name: name || null,
+      sql: query.sql,
+      tables: query.tables,
+      savedQueryId: savedQueryId || null,
+      parameters: query.parameters || null,
+      intervalMs,
+      durationMs,
+      runs: Math.ceil(durationMs / intervalMs),
+      condition: this.normalizeCondition(condition),
+      webhookUrl
+    };
+  }
+
+  // { column, operator, value } matches rows; without a column it compares the row count
+  normalizeCondition(condition = { operator: '>', value: 0 }) {
+    if (!condition || typeof condition !== 'object' || !OPERATORS[condition.operator]) {
+      throw new SubscriptionError(`condition.operator must be one of ${Object.keys(OPERATORS).join(' ')}`);
+    }
+    if (condition.column !== undefined && typeof condition.column !== 'string') {
+      throw new SubscriptionError('condition.column must be a string');
+    }
+    if (!['number', 'string', 'boolean'].includes(typeof condition.value)) {
+      throw new SubscriptionError('condition.value must be a number, string or boolean');
+    }
+    return { column: condition.column || null, operator: condition.operator, value: condition.value };
+  }
+
+  create(definition, quote, { accountId } = {}) {
+    const now = Date.now();
+    const subscription = {
+      id: `sub_${crypto.randomBytes(12).toString('hex')}`,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      status: 'active',
+      ...definition,
+      ownerAccountId: accountId || null,
+      quoteId: quote.id,
+      price: { amount: quote.price, currency: quote.currency },
+      runCount: 0,
+      alertCount: 0,
+      lastRun: null,
+      lastMatchKeys: [],
+      createdAt: new Date(now).toISOString(),
+      nextRunAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + definition.durationMs).toISOString()
+    };
+
+    this.store.set(subscription.id, subscription);
+    setImmediate(() => this.tick());
+    return subscription;
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  // The subscription ID travels in every webhook payload, so reading or cancelling one also takes
+  // the API key it was bought with or its signing secret. Non-owners get null, same as a missing ID.
+  getOwned(id, { accountId, secret } = {}) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+
+    const ownsByAccount = Boolean(accountId) && subscription.ownerAccountId === accountId;
+    const ownsBySecret = Boolean(secret) && this.hashSecret(secret) === this.hashSecret(subscription.secret);
+    return ownsByAccount || ownsBySecret ? subscription : null;
+  }
+
+  // Compared as digests so the check takes the same time however much of the secret matches
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  cancel(id) {
+    return this.store.update(id, { status: 'cancelled', nextRunAt: null });
+  }
+
+  // Public view: the signing secret is only returned once, at creation
+  describe(subscription) {
+    const { id, secret, lastMatchKeys, ...rest } = subscription;
+    return { subscriptionId: id, ...rest };
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = Date.now();
+      for (const subscription of this.store.values()) {
+        if (subscription.status !== 'active') continue;
+
+        if (Date.parse(subscription.expiresAt) <= now) {
+          this.store.update(subscription.id, { status: 'expired', nextRunAt: null });
+        } else if (Date.parse(subscription.nextRunAt) <= now) {
+          await this.run(subscription);
+        }
+      }
+    } catch (error) {
+      console.error('Scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async run(subscription) {
+    const startTime = Date.now();
+    const changes = {
+      runCount: subscription.runCount + 1,
+      nextRunAt: new Date(startTime + subscription.intervalMs).toISOString()
+    };
+
+    try {
+      const response = await this.cdpService.executeQuery(subscription.sql, { timeoutMs: this.queryTimeoutMs });
+      const rows = Array.isArray(response.result) ? response.result : [];
+      const matched = this.evaluate(subscription.condition, rows);
+      const keys = matched.map(row => this.rowKey(row));
+      const fresh = matched.filter((row, index) => !subscription.lastMatchKeys.includes(keys[index]));
+
+      changes.lastMatchKeys = keys;
+      changes.lastRun = {
+        status: 'succeeded',
+        at: new Date(startTime).toISOString(),
+        rowCount: rows.length,
+        matchCount: matched.length,
+        alerted: fresh.length > 0,
+        durationMs: Date.now() - startTime
+      };
+
+      if (fresh.length > 0) {
+        changes.alertCount = subscription.alertCount + 1;
+        this.webhooks.deliver({
+          subscriptionId: subscription.id,
+          url: subscription.webhookUrl,
+          secret: subscription.secret,
+          event: 'condition_met',
+          payload: {
+            subscriptionId: subscription.id,
+            name: subscription.name,
+            runAt: changes.lastRun.at,
+            condition: subscription.condition,
+            rowCount: rows.length,
+            matchCount: matched.length,
+            newMatchCount: fresh.length,
+            rows: fresh.slice(0, MAX_ALERT_ROWS)
+          }
+        });
+      }
+    } catch (error) {
+      console.error(`Scheduled query ${subscription.id} failed:`, error.message);
+      changes.lastRun = {
+        status: 'failed',
+        at: new Date(startTime).toISOString(),
+        error: error.message,
+        durationMs: Date.now() - startTime
+      };
+    }
+
+    // A cancellation while the query was running wins over the rescheduling
+    const current = this.store.get(subscription.id);
+    if (current && current.status === 'active') {
+      this.store.update(subscription.id, changes);
+    }
+  }
+
+  evaluate(condition, rows) {
+    const compare = OPERATORS[condition.operator];
+    if (!condition.column) {
+      return compare(rows.length, comparable(condition.value)) ? rows : [];
+    }
+    return rows.filter(row => row[condition.column] !== null && row[condition.column] !== undefined &&
+      compare(comparable(row[condition.column]), comparable(condition.value)));
+  }
+
+  rowKey(row) {
+    return crypto.createHash('sha256').update(JSON.stringify(row)).digest('hex').slice(0, 32);
+  }
+}
+
+module.exports = { SchedulerService, SubscriptionError };
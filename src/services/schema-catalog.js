@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '..', 'config', 'schema.json');
+
+class SchemaCatalog {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SCHEMA_CATALOG_PATH || DEFAULT_SCHEMA_PATH;
+    this.tables = [];
+    this.source = null;
+    this.updatedAt = null;
+    this.refreshTimer = null;
+    this.loadFromFile();
+  }
+
+  loadFromFile(filePath = this.filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(raw.tables) || raw.tables.length === 0) {
+      throw new Error(`Schema catalog ${filePath} must define a non-empty "tables" array`);
+    }
+
+    this.tables = raw.tables.map(table => ({
+      name: table.name.toLowerCase(),
+      description: table.description || '',
+      columns: (table.columns || []).map(column => ({
+        name: column.name,
+        type: column.type || 'unknown',
+        description: column.description || '',
+        ...(column.example !== undefined ? { example: column.example } : {})
+      }))
+    }));
+    this.source = 'file';
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Pulls live column names and types from CDP, keeping descriptions and examples from the file
+  async refreshFromCDP(cdpService) {
+    const schemas = Array.from(new Set(this.tables.map(table => table.name.split('.')[0])));
+    const sql = `SELECT table_schema, table_name, column_name, data_type FROM information_schema.columns WHERE table_schema IN (${schemas.map(s => `'${s}'`).join(', ')}) ORDER BY table_schema, table_name, ordinal_position`;
+
+    const response = await cdpService.executeQuery(sql);
+    const rows = Array.isArray(response.result) ? response.result : [];
+    if (rows.length === 0) {
+      throw new Error('Schema refresh returned no columns');
+    }
+
+    const liveColumns = new Map();
+    for (const row of rows) {
+      const tableName = `${row.table_schema}.${row.table_name}`.toLowerCase();
+      if (!liveColumns.has(tableName)) liveColumns.set(tableName, []);
+      liveColumns.get(tableName).push({ name: row.column_name, type: row.data_type });
+    }
+
+    // Only tables already in the catalog are exposed; new backend tables need a catalog entry first
+    this.tables = this.tables.map(table => {
+      const columns = liveColumns.get(table.name);
+      if (!columns) return table;
+
+      const documented = new Map(table.columns.map(column => [column.name, column]));
+      return {
+        ...table,
+        columns: columns.map(column => ({
+          ...(documented.get(column.name) || { description: '' }),
+          name: column.name,
+          type: column.type
+        }))
+      };
+    });
+    this.source = 'cdp';
+    this.updatedAt = new Date().toISOString();
+  }
+
+  startAutoRefresh(cdpService, intervalMs) {
+    const refresh = () => this.refreshFromCDP(cdpService).catch(error => {
+      console.warn('Schema catalog refresh failed, keeping previous schema:', error.message);
+    });
+
+    refresh();
+    if (intervalMs > 0) {
+      this.refreshTimer = setInterval(refresh, intervalMs);
+      this.refreshTimer.unref();
+    }
+  }
+
+  tableNames() {
+    return this.tables.map(table => table.name);
+  }
+
+  hasTable(name) {
+    return this.tables.some(table => table.name === name.toLowerCase());
+  }
+
+  getTable(name) {
+    return this.tables.find(table => table.name === name.toLowerCase()) || null;
+  }
+
+  toPrompt() {
+    return this.tables.map(table => {
+      const columns = table.columns.map(column => `${column.name} ${column.type}`).join(', ');
+      const notes = table.columns
+        .filter(column => column.description)
+        .map(column => `    ${column.name}: ${column.description}`)
+        .join('\n');
+      return `- ${table.name} (${columns})${table.description ? ` -- ${table.description}` : ''}${notes ? `\n${notes}` : ''}`;
+    }).join('\n');
+  }
+
+  toJSON() {
+    return {
+      source: this.source,
+      updatedAt: this.updatedAt,
+      tables: this.tables
+    };
+  }
+}
+
+module.exports = SchemaCatalog;
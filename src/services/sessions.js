@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { MemoryStore } = require('./cache');
+const { ClientError } = require('./errors');
+
+class SessionError extends ClientError {
+  constructor(message) {
+    super('session_not_found', message);
+  }
+}
+
+// Conversation history for follow-up questions. Each turn keeps the question, the SQL that
+// answered it and the shape of its result; sessions expire after SESSION_TTL_MS of inactivity.
+class SessionService {
+  constructor({ store, ttlMs, maxTurns, contextTurns } = {}) {
+    this.store = store || new MemoryStore({ maxEntries: 10000 });
+    this.ttlMs = ttlMs || parseInt(process.env.SESSION_TTL_MS, 10) || 60 * 60 * 1000;
+    this.maxTurns = maxTurns || parseInt(process.env.SESSION_MAX_TURNS, 10) || 20;
+    this.contextTurns = contextTurns || parseInt(process.env.SESSION_CONTEXT_TURNS, 10) || 5;
+  }
+
+  async find(id) {
+    return (await this.store.get(`session:${id}`)) || null;
+  }
+
+  async get(id) {
+    const session = await this.find(id);
+    if (!session) {
+      throw new SessionError(`Session ${id} not found or expired`);
+    }
+    return session;
+  }
+
+  // The most recent turns, oldest first, in the shape LLMService expects as history
+  context(session) {
+    return session ? session.turns.slice(-this.contextTurns) : [];
+  }
+
+  // Creates the session on its first turn when no ID is given. A session that expired between
+  // quoting and execution is restarted under the same ID rather than failing a paid request.
+  // `sql` is what ran; `generatedSQL` is the model's text before the LIMIT rewrite and is what gets replayed.
+  async addTurn(id, { question, sql, generatedSQL, tables, rowCount = null, columns = [] }) {
+    const now = new Date().toISOString();
+    const session = (id && await this.find(id)) || {
+      id: id || `sess_${crypto.randomBytes(12).toString('hex')}`,
+      createdAt: now,
+      turns: []
+    };
+
+    session.turns = [...session.turns, { question, sql, generatedSQL: generatedSQL || sql, tables, rowCount, columns, createdAt: now }].slice(-this.maxTurns);
+    session.updatedAt = now;
+    await this.store.set(`session:${session.id}`, session, this.ttlMs);
+
+    return this.describe(session);
+  }
+
+  describe(session) {
+    return {
+      id: session.id,
+      turns: session.turns.length,
+      expiresAt: new Date(Date.parse(session.updatedAt) + this.ttlMs).toISOString()
+    };
+  }
+}
+
+module.exports = { SessionService, SessionError };
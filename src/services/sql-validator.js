@@ -0,0 +1,310 @@
+const { Parser } = require('node-sql-parser');
+const { ClientError } = require('./errors');
+
+const MAX_ROWS = 1000;
+
+const DEFAULT_ALLOWED_TABLES = [
+  'base.transactions',
+  'base.events',
+  'base.blocks',
+  'base.transfers'
+];
+
+const FORBIDDEN_SCHEMAS = ['pg_catalog', 'information_schema', 'system', 'pg_toast'];
+
+// Functions that leak server state, touch the filesystem or can stall the backend
+const FORBIDDEN_FUNCTIONS = [
+  'pg_sleep', 'sleep', 'sleepeachrow',
+  'dblink', 'dblink_exec',
+  'lo_import', 'lo_export', 'pg_read_file', 'pg_read_binary_file', 'pg_ls_dir', 'pg_stat_file',
+  'current_setting', 'set_config', 'version', 'current_user', 'session_user', 'current_database',
+  'query_to_xml', 'table_to_xml', 'txid_current',
+  'file', 'url', 's3', 'remote', 'remotesecure', 'cluster', 'clusterallreplicas', 'input', 'executable'
+];
+const FORBIDDEN_FUNCTION_PREFIXES = ['pg_'];
+
+class SQLValidationError extends ClientError {
+  constructor(reasons) {
+    super('sql_validation_failed', `SQL validation failed: ${reasons.map(reason => reason.message).join('; ')}`);
+    this.reasons = reasons;
+  }
+
+  details() {
+    return { reasons: this.reasons };
+  }
+}
+
+class SQLValidator {
+  constructor(options = {}) {
+    this.parser = new Parser();
+    this.parserOptions = { database: 'postgresql' };
+    this.maxRows = options.maxRows || MAX_ROWS;
+    this.catalog = options.catalog || null;
+    this.allowedTables = new Set((options.allowedTables || DEFAULT_ALLOWED_TABLES).map(t => t.toLowerCase()));
+    this.forbiddenSchemas = new Set(options.forbiddenSchemas || FORBIDDEN_SCHEMAS);
+    this.forbiddenFunctions = new Set(options.forbiddenFunctions || FORBIDDEN_FUNCTIONS);
+  }
+
+  // The schema catalog, when present, is the source of truth so a refresh is picked up immediately
+  isAllowedTable(name) {
+    return this.catalog ? this.catalog.hasTable(name) : this.allowedTables.has(name);
+  }
+
+  // Returns { sql, tables, rewritten, limit } or throws SQLValidationError with every violation found
+  validate(sqlQuery) {
+    if (!sqlQuery || typeof sqlQuery !== 'string' || !sqlQuery.trim()) {
+      throw new SQLValidationError([{ code: 'empty_query', message: 'SQL query is empty' }]);
+    }
+
+    const sql = sqlQuery.trim().replace(/;\s*$/, '');
+
+    let ast;
+    try {
+      ast = this.parser.astify(sql, this.parserOptions);
+    } catch (error) {
+      throw new SQLValidationError([{ code: 'parse_error', message: `Could not parse SQL: ${error.message}` }]);
+    }
+
+    const statements = Array.isArray(ast) ? ast : [ast];
+    if (statements.length !== 1) {
+      throw new SQLValidationError([{ code: 'multiple_statements', message: 'Only a single SQL statement is allowed' }]);
+    }
+
+    const statement = statements[0];
+    if (statement.type !== 'select') {
+      throw new SQLValidationError([{
+        code: 'statement_not_allowed',
+        message: `Only SELECT queries are allowed (got ${String(statement.type).toUpperCase()})`
+      }]);
+    }
+
+    const reasons = [];
+    const tables = new Set();
+    const cteNames = this.collectCTENames(statement);
+
+    this.walk(statement, node => {
+      if (node.type === 'select' && node.into && node.into.position) {
+        reasons.push({ code: 'select_into', message: 'SELECT ... INTO is not allowed' });
+      }
+
+      if (Array.isArray(node.from)) {
+        for (const source of node.from) {
+          if (typeof source.table !== 'string') continue;
+          this.checkTable(source, cteNames, tables, reasons);
+        }
+      }
+
+      if (node.type === 'function' || node.type === 'aggr_func') {
+        this.checkFunction(node, reasons);
+      }
+    });
+
+    const limit = this.enforceLimit(statement);
+    if (limit.reason) {
+      reasons.push(limit.reason);
+    }
+
+    if (reasons.length > 0) {
+      throw new SQLValidationError(this.dedupe(reasons));
+    }
+
+    return {
+      sql: limit.rewritten ? this.parser.sqlify(statement, this.parserOptions) : sql,
+      tables: Array.from(tables),
+      rewritten: limit.rewritten,
+      limit: { requested: limit.requested, applied: limit.applied, offset: limit.offset }
+    };
+  }
+
+  collectCTENames(statement) {
+    const names = new Set();
+    this.walk(statement, node => {
+      if (Array.isArray(node.with)) {
+        for (const cte of node.with) {
+          const name = cte.name && (cte.name.value || cte.name);
+          if (typeof name === 'string') names.add(name.toLowerCase());
+        }
+      }
+    });
+    return names;
+  }
+
+  checkTable(source, cteNames, tables, reasons) {
+    const table = source.table.toLowerCase();
+    const schema = source.db ? source.db.toLowerCase() : null;
+
+    if (!schema && cteNames.has(table)) {
+      return;
+    }
+
+    const fullName = schema ? `${schema}.${table}` : table;
+
+    if ((schema && this.forbiddenSchemas.has(schema)) || this.forbiddenSchemas.has(table)) {
+      reasons.push({ code: 'forbidden_schema', message: `Access to system catalog ${fullName} is not allowed`, table: fullName });
+    } else if (!this.isAllowedTable(fullName)) {
+      reasons.push({ code: 'table_not_allowed', message: `Table ${fullName} is not available`, table: fullName });
+    } else {
+      tables.add(fullName);
+    }
+  }
+
+  checkFunction(node, reasons) {
+    const name = this.functionName(node);
+    if (!name) return;
+
+    const lower = name.toLowerCase();
+    const bare = lower.split('.').pop();
+    if (this.forbiddenFunctions.has(bare) ||
+        FORBIDDEN_FUNCTION_PREFIXES.some(prefix => bare.startsWith(prefix)) ||
+        lower.split('.').some(part => this.forbiddenSchemas.has(part))) {
+      reasons.push({ code: 'function_not_allowed', message: `Function ${name} is not allowed`, function: name });
+    }
+  }
+
+  functionName(node) {
+    if (typeof node.name === 'string') return node.name;
+    if (node.name && Array.isArray(node.name.name)) {
+      // A schema-qualified call (pg_catalog.now()) keeps its schema apart from the name parts
+      const parts = node.name.schema ? [node.name.schema, ...node.name.name] : node.name.name;
+      return parts.map(part => part.value).join('.');
+    }
+    return null;
+  }
+
+  // LIMIT on a set operation lives on the last branch, which is where sqlify emits it
+  limitTarget(statement) {
+    let target = statement;
+    while (target._next) {
+      target = target._next;
+    }
+    return target;
+  }
+
+  enforceLimit(statement) {
+    const target = this.limitTarget(statement);
+    const limit = target.limit || { seperator: '', value: [] };
+    const values = limit.value || [];
+
+    if (values.length === 0) {
+      target.limit = { seperator: '', value: [{ type: 'number', value: this.maxRows }] };
+      return { rewritten: true, requested: null, applied: this.maxRows, offset: 0 };
+    }
+
+    const limitNode = limit.seperator === ',' ? values[1] : values[0];
+    const offsetNode = limit.seperator === ',' ? values[0] : values[1];
+    const offset = offsetNode && offsetNode.type === 'number' ? Number(offsetNode.value) : 0;
+
+    if (limitNode.type === 'origin' && String(limitNode.value).toLowerCase() === 'all') {
+      limitNode.type = 'number';
+      limitNode.value = this.maxRows;
+      return { rewritten: true, requested: null, applied: this.maxRows, offset };
+    }
+
+    if (limitNode.type !== 'number' || (offsetNode && offsetNode.type !== 'number')) {
+      return { rewritten: false, reason: { code: 'invalid_limit', message: 'LIMIT and OFFSET must be numeric literals' } };
+    }
+
+    const requested = Number(limitNode.value);
+    if (requested > this.maxRows) {
+      limitNode.value = this.maxRows;
+      return { rewritten: true, requested, applied: this.maxRows, offset };
+    }
+
+    return { rewritten: false, requested, applied: requested, offset };
+  }
+
+  // Only an outer ORDER BY makes the rows of a re-run query come back in the same order
+  isOrdered(sql) {
+    const target = this.limitTarget(this.parse(sql));
+    return Array.isArray(target.orderby) && target.orderby.length > 0;
+  }
+
+  // Rewrites the outer LIMIT/OFFSET of an already validated query to fetch a single page.
+  // Callers must check isOrdered first: without ORDER BY, pages of separate runs can overlap or skip rows.
+  paginate(sql, { limit, offset }) {
+    const ast = this.parser.astify(sql, this.parserOptions);
+    const statement = Array.isArray(ast) ? ast[0] : ast;
+    const target = this.limitTarget(statement);
+
+    target.limit = offset > 0
+      ? { seperator: 'offset', value: [{ type: 'number', value: limit }, { type: 'number', value: offset }] }
+      : { seperator: '', value: [{ type: 'number', value: limit }] };
+
+    return this.parser.sqlify(statement, this.parserOptions);
+  }
+
+  // Named :placeholders in the order they first appear
+  parameterNames(sql) {
+    const names = [];
+    this.walk(this.parse(sql), node => {
+      if (node.type === 'param' && !names.includes(node.value)) {
+        names.push(node.value);
+      }
+    });
+    return names;
+  }
+
+  // Swaps each :placeholder for a literal node in the AST, so values are never spliced into the SQL text.
+  // Values must already be type-checked; strings are quoted here. CDP's ClickHouse dialect also treats a
+  // backslash as an escape, so backslashes are doubled too or `\'` would end the literal early.
+  bindParameters(sql, values) {
+    const statement = this.parse(sql);
+    const missing = [];
+
+    this.walk(statement, node => {
+      if (node.type !== 'param') return;
+      if (!Object.prototype.hasOwnProperty.call(values, node.value)) {
+        missing.push({ code: 'missing_parameter', message: `No value for parameter :${node.value}` });
+        return;
+      }
+
+      const value = values[node.value];
+      delete node.value;
+      if (typeof value === 'number') {
+        Object.assign(node, { type: 'number', value });
+      } else {
+        Object.assign(node, { type: 'single_quote_string', value: String(value).replace(/\\/g, '\\\\').replace(/'/g, "''") });
+      }
+    });
+
+    if (missing.length > 0) {
+      throw new SQLValidationError(this.dedupe(missing));
+    }
+    return this.parser.sqlify(statement, this.parserOptions);
+  }
+
+  parse(sql) {
+    try {
+      const ast = this.parser.astify(sql.trim().replace(/;\s*$/, ''), this.parserOptions);
+      return Array.isArray(ast) ? ast[0] : ast;
+    } catch (error) {
+      throw new SQLValidationError([{ code: 'parse_error', message: `Could not parse SQL: ${error.message}` }]);
+    }
+  }
+
+  walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(child => this.walk(child, visit));
+      return;
+    }
+
+    visit(node);
+    for (const value of Object.values(node)) {
+      this.walk(value, visit);
+    }
+  }
+
+  dedupe(reasons) {
+    const seen = new Set();
+    return reasons.filter(reason => {
+      const key = `${reason.code}:${reason.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = { SQLValidator, SQLValidationError, MAX_ROWS };
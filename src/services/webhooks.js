@@ -0,0 +1,206 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const JsonStore = require('./json-store');
+const { ClientError } = require('./errors');
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+class WebhookError extends ClientError {
+  constructor(message) {
+    super('webhook_url_invalid', message);
+  }
+}
+
+// Loopback, RFC 1918, link-local (cloud metadata), CGNAT and unique-local ranges
+const PRIVATE_RANGES = [
+  ['127.0.0.0', 8], ['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16],
+  ['169.254.0.0', 16], ['100.64.0.0', 10], ['0.0.0.0', 8]
+];
+
+const ipv4ToInt = ip => ip.split('.').reduce((total, octet) => (total << 8) + parseInt(octet, 10), 0) >>> 0;
+
+const isPrivateAddress = address => {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::1' || lower === '::' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+  const value = ipv4ToInt(address);
+  return PRIVATE_RANGES.some(([base, bits]) => (value >>> (32 - bits)) === (ipv4ToInt(base) >>> (32 - bits)));
+};
+
+// dns.lookup that refuses private addresses. Used by the delivery agents so the address checked is the
+// address connected to: a host can't pass checkUrl and then resolve to an internal address (DNS rebinding).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new WebhookError(`webhookUrl host ${hostname} resolved to a private or loopback address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Signs and POSTs webhook payloads, retrying failures with exponential backoff. Every delivery and
+// attempt is persisted; the owner calls resume() on startup to retry deliveries left pending.
+class WebhookService {
+  constructor({ store, maxAttempts, backoffMs, timeoutMs, allowPrivateUrls } = {}) {
+    this.store = store || new JsonStore('webhook-deliveries');
+    this.maxAttempts = maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+    this.backoffMs = backoffMs || parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 2000;
+    this.timeoutMs = timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    this.allowPrivateUrls = allowPrivateUrls !== undefined ? allowPrivateUrls : process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+    this.retentionMs = (parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+    // Proxies are bypassed when pinning, since a proxy would resolve the host itself
+    this.requestOptions = this.allowPrivateUrls ? {} : {
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup }),
+      proxy: false
+    };
+
+    this.pruneExpired();
+    this.pruneTimer = setInterval(() => this.pruneExpired(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  // Rejects non-HTTP URLs and, unless WEBHOOK_ALLOW_PRIVATE_URLS is set, hosts that resolve to internal addresses.
+  // Deliveries also re-check every address they connect to (see publicLookup).
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new WebhookError('webhookUrl must be an absolute URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new WebhookError('webhookUrl must use http or https');
+    }
+    if (this.allowPrivateUrls) return;
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new WebhookError(`webhookUrl host ${hostname} could not be resolved`);
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new WebhookError('webhookUrl must not point at a private or loopback address');
+    }
+  }
+
+  // Receivers verify with HMAC-SHA256(secret, `${timestamp}.${body}`)
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  deliver({ subscriptionId, url, secret, event, payload }) {
+    const delivery = {
+      id: `dlv_${crypto.randomBytes(12).toString('hex')}`,
+      subscriptionId,
+      url,
+      event,
+      payload,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    this.store.set(delivery.id, delivery);
+    setImmediate(() => this.attempt(delivery.id, secret));
+    return delivery;
+  }
+
+  async attempt(id, secret) {
+    const delivery = this.store.get(id);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const body = JSON.stringify({ id: delivery.id, event: delivery.event, createdAt: delivery.createdAt, data: delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+    let statusCode = null;
+    let error = null;
+    let permanent = false;
+
+    try {
+      await this.checkUrl(delivery.url);
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'blockchain-query-api-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this.sign(secret, timestamp, body)
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...this.requestOptions
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+      // axios wraps errors from the connect-time lookup and keeps their code
+      permanent = requestError instanceof WebhookError || requestError.code === 'webhook_url_invalid';
+    }
+
+    const attempts = [...delivery.attempts, {
+      attempt: delivery.attempts.length + 1,
+      at: new Date(startTime).toISOString(),
+      statusCode,
+      error,
+      durationMs: Date.now() - startTime
+    }];
+
+    // Rejected URLs and client errors other than timeouts and throttling won't succeed on retry
+    const retryable = !permanent && (statusCode === null || statusCode >= 500 || statusCode === 408 || statusCode === 429);
+    if (!error) {
+      this.store.update(id, { status: 'delivered', attempts, nextAttemptAt: null, completedAt: new Date().toISOString() });
+    } else if (!retryable || attempts.length >= this.maxAttempts) {
+      console.warn(`Webhook ${id} failed after ${attempts.length} attempt(s): ${error}`);
+      this.store.update(id, { status: 'failed', attempts, nextAttemptAt: null, completedAt: new Date().toISOString() });
+    } else {
+      const delayMs = this.backoffMs * 2 ** (attempts.length - 1);
+      this.store.update(id, { attempts, nextAttemptAt: new Date(Date.now() + delayMs).toISOString() });
+      setTimeout(() => this.attempt(id, secret), delayMs).unref();
+    }
+  }
+
+  list(subscriptionId) {
+    return this.store.values()
+      .filter(delivery => delivery.subscriptionId === subscriptionId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Secrets are not stored with deliveries, so resuming needs the owning subscription's secret
+  resume(secretFor) {
+    for (const delivery of this.store.values().filter(delivery => delivery.status === 'pending')) {
+      const secret = secretFor(delivery.subscriptionId);
+      if (secret) {
+        setImmediate(() => this.attempt(delivery.id, secret));
+      }
+    }
+  }
+
+  pruneExpired() {
+    const cutoff = Date.now() - this.retentionMs;
+    this.store.deleteWhere(delivery =>
+      delivery.status !== 'pending' && Date.parse(delivery.completedAt || delivery.createdAt) < cutoff);
+  }
+}
+
+module.exports = { WebhookService, WebhookError };
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { CDPCredentialError, parsePrivateKey, signJWT } = require('../src/services/cdp-credentials');
+const CDPSQLService = require('../src/services/cdp-sql');
+
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const edKeys = crypto.generateKeyPairSync('ed25519');
+
+// Raw Ed25519 halves: the seed is the tail of the PKCS#8 DER, the public key is the JWK "x"
+const edSeed = edKeys.privateKey.export({ type: 'pkcs8', format: 'der' }).subarray(16);
+const edPublic = Buffer.from(edKeys.publicKey.export({ format: 'jwk' }).x, 'base64url');
+
+const ecPem = ecKeys.privateKey.export({ type: 'sec1', format: 'pem' });
+
+const decode = part => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+const verifyJWT = (token, publicKey) => {
+  const [header, , signature] = token.split('.');
+  const signingInput = Buffer.from(token.slice(0, token.lastIndexOf('.')));
+  const bytes = Buffer.from(signature, 'base64url');
+  return decode(header).alg === 'EdDSA'
+    ? crypto.verify(null, signingInput, publicKey, bytes)
+    : crypto.verify('sha256', signingInput, { key: publicKey, dsaEncoding: 'ieee-p1363' }, bytes);
+};
+
+const accepted = [
+  ['a SEC1 PEM EC key', ecPem, 'ES256', ecKeys.publicKey],
+  ['a PKCS#8 PEM EC key', ecKeys.privateKey.export({ type: 'pkcs8', format: 'pem' }), 'ES256', ecKeys.publicKey],
+  ['a PEM with escaped newlines', ecPem.replace(/\n/g, '\\n'), 'ES256', ecKeys.publicKey],
+  ['base64 SEC1 DER without PEM armor', ecKeys.privateKey.export({ type: 'sec1', format: 'der' }).toString('base64'), 'ES256', ecKeys.publicKey],
+  ['a PEM Ed25519 key', edKeys.privateKey.export({ type: 'pkcs8', format: 'pem' }), 'EdDSA', edKeys.publicKey],
+  ['a 32-byte Ed25519 secret', edSeed.toString('base64'), 'EdDSA', edKeys.publicKey],
+  ['a 64-byte Ed25519 secret', Buffer.concat([edSeed, edPublic]).toString('base64'), 'EdDSA', edKeys.publicKey]
+];
+
+for (const [label, value, algorithm, publicKey] of accepted) {
+  test(`parsePrivateKey accepts ${label} and signs verifiable JWTs`, () => {
+    const parsed = parsePrivateKey(value);
+    assert.strictEqual(parsed.algorithm, algorithm);
+
+    const token = signJWT({ keyName: 'kid-1', ...parsed }, { sub: 'kid-1' });
+    const header = decode(token.split('.')[0]);
+    assert.strictEqual(header.alg, algorithm);
+    assert.strictEqual(header.kid, 'kid-1');
+    assert.deepStrictEqual(decode(token.split('.')[1]), { sub: 'kid-1' });
+    assert.ok(verifyJWT(token, publicKey));
+  });
+}
+
+const rejected = [
+  ['an EC key on the wrong curve', crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' }).privateKey.export({ type: 'sec1', format: 'pem' }), /secp384r1/],
+  ['an RSA key', crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey.export({ type: 'pkcs8', format: 'pem' }), /unsupported rsa key/],
+  ['a 64-byte secret whose second half is not its public key', Buffer.concat([edSeed, Buffer.alloc(32)]).toString('base64'), /not the public key of its first/],
+  ['text that is neither PEM nor base64', 'not a key!', /neither PEM nor base64/]
+];
+
+for (const [label, value, message] of rejected) {
+  test(`parsePrivateKey rejects ${label}`, () => {
+    assert.throws(() => parsePrivateKey(value), error => {
+      assert.ok(error instanceof CDPCredentialError);
+      assert.strictEqual(error.code, 'cdp_credentials_invalid');
+      assert.match(error.message, message);
+      return true;
+    });
+  });
+}
+
+test('CDPSQLService.generateJWT reuses its token until the refresh margin', async t => {
+  const service = new CDPSQLService();
+  service.credentials = { keyName: 'kid-1', ...parsePrivateKey(edSeed.toString('base64')) };
+  service.credentialsError = null;
+
+  const start = Date.now();
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+
+  const first = await service.generateJWT();
+  assert.ok(verifyJWT(first, edKeys.publicKey));
+  const { exp } = decode(first.split('.')[1]);
+
+  // Tokens last 120s and are replaced 30s before they expire
+  now = (exp - 31) * 1000;
+  assert.strictEqual(await service.generateJWT(), first);
+
+  now = (exp - 30) * 1000;
+  const second = await service.generateJWT();
+  assert.notStrictEqual(second, first);
+  assert.ok(verifyJWT(second, edKeys.publicKey));
+  assert.strictEqual(decode(second.split('.')[1]).exp, exp - 30 + 120);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { UpstreamError } = require('../src/services/errors');
+const CDPSQLService = require('../src/services/cdp-sql');
+
+const rateLimited = retryAfterSeconds => new UpstreamError('cdp_rate_limited', 'CDP API rate limit exceeded. Please try again later.', { retryAfterSeconds });
+
+const createService = () => {
+  const service = new CDPSQLService();
+  service.credentials = {};
+  service.credentialsError = null;
+  service.retryBaseMs = 1;
+  service.retryMaxMs = 5;
+  return service;
+};
+
+test('a 429 without Retry-After is retried with backoff', async t => {
+  const service = createService();
+  let calls = 0;
+  t.mock.method(service, 'runQuery', async () => {
+    calls++;
+    if (calls === 1) throw rateLimited(null);
+    return { result: [], metadata: {} };
+  });
+
+  const response = await service.executeQuery('SELECT 1');
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(response.metadata.cdpRetries, 1);
+});
+
+test('a 429 still failing after the retries tells the client to wait 30 seconds', async t => {
+  const service = createService();
+  t.mock.method(service, 'runQuery', async () => {
+    throw rateLimited(null);
+  });
+
+  await assert.rejects(service.executeQuery('SELECT 1'), error => {
+    assert.strictEqual(error.code, 'cdp_rate_limited');
+    assert.strictEqual(error.retryAfterSeconds, 30);
+    return true;
+  });
+  assert.strictEqual(service.runQuery.mock.callCount(), service.maxRetries + 1);
+});
+
+test('a Retry-After longer than the retry cap is returned to the client as is', async t => {
+  const service = createService();
+  t.mock.method(service, 'runQuery', async () => {
+    throw rateLimited(60);
+  });
+
+  await assert.rejects(service.executeQuery('SELECT 1'), error => error.retryAfterSeconds === 60);
+  assert.strictEqual(service.runQuery.mock.callCount(), 1);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const arrow = require('apache-arrow');
+const { describeColumns, toArrow } = require('../src/services/formatters');
+
+const catalog = {
+  getTable: () => ({
+    columns: [
+      { name: 'block_number', type: 'int32' },
+      { name: 'gas_used', type: 'bigint' },
+      { name: 'block_timestamp', type: 'timestamp' }
+    ]
+  })
+};
+
+const types = rows => describeColumns(rows, { catalog, tables: ['base.transactions'] }).map(column => column.type);
+
+test('describeColumns uses catalog types the values fit', () => {
+  assert.deepStrictEqual(types([{ block_number: 1, gas_used: '21000', block_timestamp: '2024-01-01 00:00:00' }]), ['integer', 'bigint', 'timestamp']);
+});
+
+test('describeColumns widens aliased aggregates instead of truncating them', () => {
+  assert.deepStrictEqual(types([{ block_number: 3000000000, gas_used: 21000.5 }, { block_number: 1, gas_used: '7.25' }]), ['bigint', 'double']);
+  assert.deepStrictEqual(types([{ gas_used: '123456789012345678901' }]), ['string']);
+  assert.deepStrictEqual(types([{ block_timestamp: 42 }]), ['bigint']);
+});
+
+test('toArrow reads timestamps without a zone as UTC', () => {
+  const rows = [{ block_timestamp: '2024-01-01 00:00:00' }, { block_timestamp: '2024-01-01T02:00:00+02:00' }];
+  const table = arrow.tableFromIPC(toArrow(rows, describeColumns(rows, { catalog, tables: ['base.transactions'] })));
+  const expected = Date.UTC(2024, 0, 1);
+  assert.deepStrictEqual(table.toArray().map(row => Number(row.block_timestamp)), [expected, expected]);
+});
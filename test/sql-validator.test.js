@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SQLValidator, SQLValidationError } = require('../src/services/sql-validator');
+
+const validator = new SQLValidator();
+
+const rejects = (sql, code, message) => {
+  assert.throws(() => validator.validate(sql), error => {
+    assert.ok(error instanceof SQLValidationError);
+    assert.strictEqual(error.code, 'sql_validation_failed');
+    assert.ok(error.reasons.some(reason => reason.code === code), `expected ${code}, got ${JSON.stringify(error.reasons)}`);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+};
+
+test('validate accepts a single SELECT and drops a trailing semicolon', () => {
+  const result = validator.validate('SELECT * FROM base.transactions LIMIT 10;');
+  assert.strictEqual(result.sql, 'SELECT * FROM base.transactions LIMIT 10');
+  assert.deepStrictEqual(result.tables, ['base.transactions']);
+  assert.strictEqual(result.rewritten, false);
+});
+
+test('validate rejects empty input, several statements and anything but SELECT', () => {
+  rejects('  ', 'empty_query');
+  rejects('SELECT 1; SELECT 2', 'multiple_statements');
+  rejects('SELECT * FROM base.blocks; DROP TABLE base.blocks', 'multiple_statements');
+  rejects('DELETE FROM base.blocks', 'statement_not_allowed', /got DELETE/);
+  rejects('SELECT * FROM', 'parse_error');
+});
+
+test('validate only allows tables on the allowlist', () => {
+  rejects('SELECT * FROM base.secrets', 'table_not_allowed', /base\.secrets/);
+  rejects('SELECT * FROM base.blocks JOIN accounts ON true', 'table_not_allowed', /accounts/);
+
+  const custom = new SQLValidator({ allowedTables: ['base.blocks'] });
+  assert.deepStrictEqual(custom.validate('SELECT * FROM base.blocks').tables, ['base.blocks']);
+  assert.throws(() => custom.validate('SELECT * FROM base.transactions'), SQLValidationError);
+});
+
+test('validate rejects system schemas', () => {
+  rejects('SELECT * FROM pg_catalog.pg_class', 'forbidden_schema');
+  rejects('SELECT * FROM information_schema.tables', 'forbidden_schema');
+  rejects('SELECT * FROM system.tables', 'forbidden_schema');
+});
+
+test('validate rejects forbidden functions wherever they appear', () => {
+  rejects('SELECT pg_sleep(10)', 'function_not_allowed');
+  rejects('SELECT version()', 'function_not_allowed');
+  rejects('SELECT * FROM base.blocks WHERE block_number > (SELECT pg_backend_pid())', 'function_not_allowed');
+  rejects('SELECT pg_catalog.now()', 'function_not_allowed');
+  assert.doesNotThrow(() => validator.validate('SELECT COUNT(*), MAX(block_number) FROM base.blocks'));
+});
+
+test('validate reports every violation at once', () => {
+  assert.throws(() => validator.validate('SELECT version() FROM base.secrets'), error => {
+    assert.deepStrictEqual(error.reasons.map(reason => reason.code).sort(), ['function_not_allowed', 'table_not_allowed']);
+    return true;
+  });
+});
+
+test('CTE names shadow only unqualified table references', () => {
+  const result = validator.validate('WITH recent AS (SELECT * FROM base.blocks) SELECT * FROM recent');
+  assert.deepStrictEqual(result.tables, ['base.blocks']);
+
+  rejects('WITH recent AS (SELECT * FROM base.secrets) SELECT * FROM recent', 'table_not_allowed');
+  rejects('WITH secrets AS (SELECT * FROM base.blocks) SELECT * FROM public.secrets', 'table_not_allowed');
+  rejects('WITH pg_class AS (SELECT * FROM base.blocks) SELECT * FROM pg_catalog.pg_class', 'forbidden_schema');
+});
+
+test('validate adds or clamps the outer LIMIT', () => {
+  const added = validator.validate('SELECT * FROM base.blocks');
+  assert.match(added.sql, /LIMIT 1000$/);
+  assert.deepStrictEqual(added.limit, { requested: null, applied: 1000, offset: 0 });
+
+  const clamped = validator.validate('SELECT * FROM base.blocks LIMIT 5000 OFFSET 20');
+  assert.match(clamped.sql, /LIMIT 1000 OFFSET 20$/);
+  assert.deepStrictEqual(clamped.limit, { requested: 5000, applied: 1000, offset: 20 });
+
+  assert.deepStrictEqual(validator.validate('SELECT * FROM base.blocks LIMIT ALL').limit.applied, 1000);
+  rejects('SELECT * FROM base.blocks LIMIT (SELECT 1)', 'invalid_limit');
+});
+
+test('validate clamps the LIMIT of a UNION, not of its first branch', () => {
+  const result = validator.validate('SELECT block_number FROM base.blocks UNION ALL SELECT block_number FROM base.transactions LIMIT 5000');
+  assert.match(result.sql, /UNION ALL SELECT block_number FROM "base"\."transactions" LIMIT 1000$/);
+  assert.strictEqual(result.sql.match(/LIMIT/g).length, 1);
+  assert.deepStrictEqual(result.limit, { requested: 5000, applied: 1000, offset: 0 });
+
+  const unlimited = validator.validate('SELECT block_number FROM base.blocks UNION SELECT block_number FROM base.transactions');
+  assert.match(unlimited.sql, /LIMIT 1000$/);
+  assert.strictEqual(unlimited.sql.match(/LIMIT/g).length, 1);
+});
+
+test('validate limits the outer query of a CTE, whatever the CTE limits itself to', () => {
+  const result = validator.validate('WITH recent AS (SELECT * FROM base.blocks LIMIT 5000) SELECT * FROM recent LIMIT 50');
+  assert.strictEqual(result.rewritten, false);
+  assert.deepStrictEqual(result.limit, { requested: 50, applied: 50, offset: 0 });
+
+  const unlimited = validator.validate('WITH recent AS (SELECT * FROM base.blocks) SELECT * FROM recent');
+  assert.match(unlimited.sql, /FROM "recent" LIMIT 1000$/);
+});
+
+test('bindParameters quotes strings so a value cannot end its literal', () => {
+  const sql = 'SELECT * FROM base.transfers WHERE from_address = :address AND value > :min';
+
+  const bound = validator.bindParameters(sql, { address: "x' OR '1'='1", min: 5 });
+  assert.match(bound, /from_address = 'x'' OR ''1''=''1' AND value > 5/);
+  assert.strictEqual(validator.validate(bound).tables[0], 'base.transfers');
+
+  const escaped = validator.bindParameters(sql, { address: "a\\' OR 1=1 --", min: 0 });
+  assert.match(escaped, /from_address = 'a\\\\'' OR 1=1 --' AND value > 0/);
+});
+
+test('bindParameters binds repeated placeholders and rejects missing values', () => {
+  const bound = validator.bindParameters('SELECT * FROM base.transfers WHERE from_address = :a OR to_address = :a', { a: '0xabc' });
+  assert.strictEqual(bound.match(/'0xabc'/g).length, 2);
+  assert.deepStrictEqual(validator.parameterNames('SELECT * FROM base.blocks WHERE block_number BETWEEN :low AND :high OR block_number = :low'), ['low', 'high']);
+
+  assert.throws(() => validator.bindParameters('SELECT * FROM base.blocks WHERE block_number = :n', {}), error => {
+    assert.deepStrictEqual(error.reasons, [{ code: 'missing_parameter', message: 'No value for parameter :n' }]);
+    return true;
+  });
+});
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadCredentials } = require('./src/services/cdp-credentials');
 
 console.log('🔍 Verifying Natural Language Blockchain Query API Setup');
 console.log('======================================================');
@@ -46,24 +47,40 @@ addCheck('Environment File', envExists, envExists ? 'Environment file found' : '
 
 if (envExists) {
   const cdpKeyName = process.env.CDP_API_KEY_NAME;
-  const cdpPrivateKey = process.env.CDP_API_KEY_PRIVATE_KEY;
+  const cdpKeyFile = process.env.CDP_API_KEY_FILE;
   const openaiKey = process.env.OPENAI_API_KEY;
+  const anthropicKey = process.env.ANTHROPIC_API_KEY;
+  const compatibleBaseURL = process.env.OPENAI_COMPATIBLE_BASE_URL;
   const x402WalletId = process.env.X402_WALLET_ID;
   const network = process.env.NETWORK;
 
   addCheck('CDP API Key Name', 
-    !!cdpKeyName && cdpKeyName !== 'your_api_key_name',
-    cdpKeyName ? 'Configured' : 'Not configured'
+    !!(cdpKeyName || cdpKeyFile) && cdpKeyName !== 'your_api_key_name',
+    cdpKeyFile ? `Key file ${cdpKeyFile}` : cdpKeyName ? 'Configured' : 'Not configured'
   );
 
+  // Parses the key the same way the server does, so a malformed key fails here rather than at the first query
+  let cdpCredentials = null;
+  let cdpCredentialsError = null;
+  try {
+    cdpCredentials = loadCredentials();
+  } catch (error) {
+    cdpCredentialsError = error.message;
+  }
   addCheck('CDP Private Key', 
-    !!cdpPrivateKey && cdpPrivateKey !== 'your_private_key',
-    cdpPrivateKey ? 'Configured' : 'Not configured'
+    !!cdpCredentials,
+    cdpCredentials ? `Valid ${cdpCredentials.algorithm} key` : cdpCredentialsError || 'Not configured'
   );
 
-  addCheck('OpenAI API Key', 
-    !!openaiKey && openaiKey !== 'your_openai_key',
-    openaiKey ? 'Configured' : 'Not configured'
+  const llmProviders = [
+    !!openaiKey && openaiKey !== 'your_openai_key' && 'openai',
+    !!anthropicKey && anthropicKey !== 'your_anthropic_key' && 'anthropic',
+    !!compatibleBaseURL && 'openai-compatible'
+  ].filter(Boolean);
+
+  addCheck('LLM Provider', 
+    llmProviders.length > 0,
+    llmProviders.length > 0 ? `Configured (${llmProviders.join(', ')})` : 'Not configured'
   );
 
   addCheck('x402 Wallet ID', 